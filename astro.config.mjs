@@ -1,13 +1,35 @@
 // @ts-check
+import { fileURLToPath } from 'node:url';
 import { defineConfig } from 'astro/config';
 
 import tailwindcss from '@tailwindcss/vite';
 import react from '@astrojs/react';
-import sitemap from '@astrojs/sitemap';
 import keystatic from '@keystatic/astro';
 import mdx from '@astrojs/mdx';
 
 import vercel from '@astrojs/vercel';
+import node from '@astrojs/node';
+
+import { LOCALES, DEFAULT_LOCALE } from './src/lib/i18n.js';
+import { lintContent, formatIssue } from './src/lib/content-lint.js';
+
+// Same checks as `npm run lint:content`: errors stop the build, warnings are logged
+/** @type {import('astro').AstroIntegration} */
+const contentLint = {
+  name: 'casilocal:content-lint',
+  hooks: {
+    'astro:build:start': ({ logger }) => {
+      const { issues } = lintContent({ root: fileURLToPath(new URL('.', import.meta.url)) });
+      const errors = issues.filter((issue) => issue.severity === 'error');
+      const warnings = issues.length - errors.length;
+      if (warnings > 0) logger.warn(`${warnings} content warning(s); run npm run lint:content for details`);
+      if (errors.length > 0) {
+        errors.forEach((issue) => logger.error(formatIssue(issue)));
+        throw new Error(`Content lint failed with ${errors.length} error(s)`);
+      }
+    },
+  },
+};
 
 // https://astro.build/config
 export default defineConfig({
@@ -20,7 +42,7 @@ export default defineConfig({
     plugins: [tailwindcss()],
     build: {
       sourcemap: false
-    }
+    },
   },
 
   image: {
@@ -34,18 +56,21 @@ export default defineConfig({
     remotePatterns: [],
   },
 
+  // English at the root, Spanish under /es/ (see src/lib/i18n.js)
+  i18n: {
+    locales: [...LOCALES],
+    defaultLocale: DEFAULT_LOCALE,
+    routing: { prefixDefaultLocale: false },
+  },
+
   output: 'static',
   integrations: [
     react(),
     mdx(),
-    sitemap({
-      filter: (page) =>
-        !page.includes('/design-system') &&
-        !page.includes('/submit/success') &&
-        !page.includes('/keystatic') &&
-        !page.includes('/_astro/'),
-    }),
     keystatic(),
+    contentLint,
   ],
-  adapter: vercel(),
+  // ASTRO_ADAPTER=node builds a standalone server, so on-demand routes that
+  // write to disk (e.g. /api/submit drafts) can be run and tested locally
+  adapter: process.env.ASTRO_ADAPTER === 'node' ? node({ mode: 'standalone' }) : vercel(),
 });
\ No newline at end of file
@@ -0,0 +1,151 @@
+// Rate limits and spending caps around an LLM provider (lib/llm/index.js).
+// The wrapped provider has the same { name, model, complete() } shape and
+// - waits while the last minute's requests or tokens are at the provider's limit,
+// - retries 429s, 5xx and network errors with exponential backoff (honouring
+//   Retry-After),
+// - refuses to start a request once the run's request or token budget is spent,
+//   with an error whose code is BUDGET_EXHAUSTED (lib/jobs.js stops and
+//   checkpoints on it).
+// Providers do not all report usage, so tokens are estimated from characters.
+
+// Per-minute limits by provider; groq's are its free tier for llama-3.3-70b.
+// Override with LLM_RPM and LLM_TPM. Local and replayed providers are unlimited.
+export const PROVIDER_LIMITS = {
+  groq: { requestsPerMinute: 30, tokensPerMinute: 12000 },
+  openai: {},
+  fixture: {},
+};
+
+export const MAX_ATTEMPTS = 6;
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 60 * 1000;
+const WINDOW_MS = 60 * 1000;
+
+// ~4 characters per token for English and Spanish prose
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const requestTokens = ({ messages }) => messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+/**
+ * A limit from a flag or the environment: undefined (not given) means no
+ * limit, anything but a positive number is an error rather than a silent
+ * "unlimited".
+ * @param {string | undefined} value
+ * @param {string} name Flag or variable, for the error message
+ */
+export function parseLimit(value, name) {
+  if (value === undefined) return undefined;
+  const limit = Number(value);
+  if (value.trim() === '' || !Number.isFinite(limit) || limit <= 0) throw new Error(`${name} must be a positive number, got "${value}"`);
+  return limit;
+}
+
+// An empty variable (LLM_RPM= in .env) is unset
+const envLimit = (name) => parseLimit(process.env[name] || undefined, name);
+
+/**
+ * Limits for a provider, from PROVIDER_LIMITS and the environment; a recording
+ * fixture provider ("fixture:record(groq)") is paced like its upstream.
+ * @param {{ name: string }} llm
+ * @param {{ maxRequests?: number, maxTokens?: number }} [budget] Caps for this run
+ */
+export function limitsFor(llm, budget = {}) {
+  const name = llm.name.match(/^fixture:record\((.+)\)$/)?.[1] ?? llm.name;
+  const defaults = PROVIDER_LIMITS[name] ?? {};
+  return {
+    requestsPerMinute: envLimit('LLM_RPM') ?? defaults.requestsPerMinute,
+    tokensPerMinute: envLimit('LLM_TPM') ?? defaults.tokensPerMinute,
+    maxRequests: budget.maxRequests ?? envLimit('LLM_MAX_REQUESTS'),
+    maxTokens: budget.maxTokens ?? envLimit('LLM_MAX_TOKENS'),
+  };
+}
+
+// For callers that fall back on any LLM failure: a spent budget still has to
+// reach the job runner
+export function rethrowIfBudgetSpent(error) {
+  if (error.code === 'BUDGET_EXHAUSTED') throw error;
+}
+
+// Worth another attempt: rate limited, server-side failure or no response at all
+function retryable(error) {
+  if (error.code === 'BUDGET_EXHAUSTED') return false;
+  if (error.status === undefined) return error.name === 'TypeError' || /ECONNRESET|ETIMEDOUT|fetch failed|Connection error/i.test(error.message);
+  return error.status === 429 || error.status >= 500;
+}
+
+function backoffMs(error, attempt) {
+  const header = error.headers?.['retry-after'] ?? error.headers?.get?.('retry-after');
+  const retryAfter = toNumber(header);
+  if (retryAfter !== undefined && !Number.isNaN(retryAfter)) return Math.min(retryAfter * 1000, BACKOFF_MAX_MS);
+  const exponential = Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+  // Jitter so parallel runs against one key do not retry in lockstep
+  return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+/**
+ * @param {{ name: string, model: string, complete: (request: object) => Promise<string> }} llm
+ * @param {{ maxRequests?: number, maxTokens?: number }} [budget] Caps for this run (jobOptions in lib/jobs.js)
+ */
+export function withBudget(llm, budget = {}) {
+  const limits = limitsFor(llm, budget);
+  /** @type {{ at: number, tokens: number }[]} */
+  const window = [];
+  const usage = { requests: 0, tokens: 0, retries: 0 };
+
+  const spent = () => (limits.maxRequests !== undefined && usage.requests >= limits.maxRequests)
+    || (limits.maxTokens !== undefined && usage.tokens >= limits.maxTokens);
+
+  // Wait until the last minute has room for one more request of this size
+  async function waitForRoom(tokens) {
+    for (;;) {
+      const now = Date.now();
+      while (window.length > 0 && window[0].at <= now - WINDOW_MS) window.shift();
+      const windowTokens = window.reduce((sum, entry) => sum + entry.tokens, 0);
+      const requestsFull = limits.requestsPerMinute !== undefined && window.length >= limits.requestsPerMinute;
+      // A request larger than the whole limit goes out alone once the window is empty
+      const tokensFull = limits.tokensPerMinute !== undefined && window.length > 0 && windowTokens + tokens > limits.tokensPerMinute;
+      if (!requestsFull && !tokensFull) return;
+      await sleep(window[0].at + WINDOW_MS - now + 50);
+    }
+  }
+
+  return {
+    name: llm.name,
+    model: llm.model,
+    usage: () => ({ ...usage }),
+    async complete(request) {
+      const estimate = requestTokens(request) + (request.maxTokens ?? 0);
+
+      for (let attempt = 0; ; attempt++) {
+        if (spent()) {
+          throw Object.assign(new Error(`LLM budget spent (${usage.requests} requests, ~${usage.tokens} tokens)`), { code: 'BUDGET_EXHAUSTED' });
+        }
+        await waitForRoom(estimate);
+        const entry = { at: Date.now(), tokens: estimate };
+        window.push(entry);
+        usage.requests++;
+
+        try {
+          const content = await llm.complete(request);
+          // Settle the estimate on what was actually sent and received
+          entry.tokens = requestTokens(request) + estimateTokens(content);
+          usage.tokens += entry.tokens;
+          return content;
+        } catch (error) {
+          usage.tokens += requestTokens(request);
+          if (!retryable(error) || attempt + 1 >= MAX_ATTEMPTS) throw error;
+          const delay = backoffMs(error, attempt);
+          usage.retries++;
+          console.warn(`   ⏳ ${llm.name} ${error.status ?? 'network error'}, retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 2}/${MAX_ATTEMPTS})`);
+          await sleep(delay);
+        }
+      }
+    },
+  };
+}
@@ -0,0 +1,24 @@
+import { listBundles, readBundle } from './spots.js';
+import { loadProcessedSpots } from './processed.js';
+import { candidateKeys } from '../../src/lib/duplicates.js';
+
+// Every published bundle as a duplicate-detection candidate (src/lib/duplicates.js).
+// A bundle's Google identity comes from its maps_url and from the seeder's
+// processed-spots.json entries for its slug.
+export function spotCandidates() {
+  const processed = loadProcessedSpots();
+
+  return listBundles().map((slug) => {
+    const { frontmatter } = readBundle(slug);
+    const uris = processed.filter((entry) => entry.slug === slug).map((entry) => entry.uri);
+    return {
+      slug,
+      title: frontmatter.title || slug,
+      coordinates: frontmatter.metrics?.coordinates,
+      mapsKeys: candidateKeys([frontmatter.maps_url, ...uris]),
+      chain: frontmatter.chain || undefined,
+      listed: !!frontmatter.coverImage?.image,
+      published_at: frontmatter.published_at,
+    };
+  });
+}
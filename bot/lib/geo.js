@@ -0,0 +1,47 @@
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const NEIGHBORHOODS_GEOJSON = join(__dirname, '../data/madrid-neighborhoods.geojson');
+
+let cachedFeatures = null;
+
+export function loadNeighborhoodFeatures() {
+  cachedFeatures ??= JSON.parse(readFileSync(NEIGHBORHOODS_GEOJSON, 'utf-8')).features;
+  return cachedFeatures;
+}
+
+// Ray casting on a single [lon, lat] ring
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Outer ring minus holes
+function pointInPolygon(point, [outer, ...holes]) {
+  return pointInRing(point, outer) && !holes.some((hole) => pointInRing(point, hole));
+}
+
+export function pointInGeometry(point, geometry) {
+  if (geometry.type === 'Polygon') return pointInPolygon(point, geometry.coordinates);
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.some((poly) => pointInPolygon(point, poly));
+  return false;
+}
+
+// Resolve { lat, long } (spot metrics.coordinates) to a neighborhood slug from
+// src/lib/neighborhoods.js, or null when outside every polygon
+export function resolveNeighborhood(coordinates) {
+  if (typeof coordinates?.lat !== 'number' || typeof coordinates?.long !== 'number') return null;
+
+  const point = [coordinates.long, coordinates.lat];
+  const feature = loadNeighborhoodFeatures().find((f) => pointInGeometry(point, f.geometry));
+  return feature ? feature.properties.neighborhood : null;
+}
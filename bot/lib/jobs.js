@@ -0,0 +1,152 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseLimit } from './budget.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// One checkpoint per job: jobs/<name>.json (gitignored). It holds the queue
+// with every task's input, status and result, and is rewritten after each task,
+// so a run that crashes or runs out of budget resumes where it stopped.
+export const JOBS_DIR = join(__dirname, '../jobs');
+
+const checkpointPath = (name) => join(JOBS_DIR, `${name}.json`);
+
+export function loadCheckpoint(name) {
+  const filePath = checkpointPath(name);
+  if (!existsSync(filePath)) return null;
+  return JSON.parse(readFileSync(filePath, 'utf-8'));
+}
+
+function saveCheckpoint(checkpoint) {
+  mkdirSync(JOBS_DIR, { recursive: true });
+  checkpoint.updatedAt = new Date().toISOString();
+  writeFileSync(checkpointPath(checkpoint.job), JSON.stringify(checkpoint, null, 2), 'utf-8');
+}
+
+export function listCheckpoints() {
+  if (!existsSync(JOBS_DIR)) return [];
+  return readdirSync(JOBS_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => loadCheckpoint(file.replace(/\.json$/, '')));
+}
+
+const numberArg = (args, name) => parseLimit(args.find((arg) => arg.startsWith(`--${name}=`))?.split('=')[1], `--${name}`);
+
+/**
+ * Runner flags shared by every job script:
+ *   --dry-run                       run, but print planned writes instead of writing
+ *   --fresh                         discard an unfinished checkpoint and start over
+ *   --max-requests=N --max-tokens=N LLM budget for this run (see lib/budget.js)
+ * @param {string[]} args
+ */
+export function jobOptions(args) {
+  return {
+    dryRun: args.includes('--dry-run'),
+    fresh: args.includes('--fresh'),
+    budget: { maxRequests: numberArg(args, 'max-requests'), maxTokens: numberArg(args, 'max-tokens') },
+  };
+}
+
+const counts = (tasks) => ({
+  done: tasks.filter((task) => task.status === 'done').length,
+  pending: tasks.filter((task) => task.status === 'pending').length,
+  failed: tasks.filter((task) => task.status === 'failed').length,
+});
+
+/**
+ * Run a job's tasks in order, one at a time, checkpointing after each.
+ *
+ * A job is { name, params, plan(), run(input, ctx) }:
+ * - `params` is what the run was started with; an unfinished checkpoint is
+ *   resumed only by a run with the same params.
+ * - `plan()` returns the first tasks, each an input object with a unique `id`.
+ * - `run(input, ctx)` does one task and returns a JSON-serializable result.
+ *   Every write goes through `ctx.write(label, fn)`, which in a dry run prints
+ *   the label instead of calling `fn`. `ctx.enqueue(input)` adds follow-up
+ *   tasks; `ctx.tasks` is the whole queue, results included.
+ *
+ * A failing task is marked failed and the run goes on; failed tasks are retried
+ * when the run is resumed. A BUDGET_EXHAUSTED error (lib/budget.js) stops the
+ * run with the task still pending.
+ *
+ * @param {{ name: string, params: object, plan: () => Promise<object[]> | object[], run: (input: object, ctx: object) => Promise<object | undefined> }} job
+ * @param {{ dryRun?: boolean, fresh?: boolean, llm?: { usage: () => object } }} [options]
+ * @returns {Promise<{ tasks: object[], complete: boolean }>}
+ */
+export async function runJob(job, { dryRun = false, fresh = false, llm } = {}) {
+  let checkpoint = fresh ? null : loadCheckpoint(job.name);
+  if (checkpoint?.finishedAt) checkpoint = null;
+
+  if (checkpoint && JSON.stringify(checkpoint.params) !== JSON.stringify(job.params)) {
+    throw new Error(`An unfinished ${job.name} run with ${JSON.stringify(checkpoint.params)} exists (jobs/${job.name}.json). `
+      + 'Run it again with the same arguments to resume it, or pass --fresh to discard it.');
+  }
+
+  if (checkpoint) {
+    checkpoint.tasks.filter((task) => task.status === 'failed').forEach((task) => { task.status = 'pending'; });
+    const { done, pending } = counts(checkpoint.tasks);
+    console.log(`♻️  Resuming ${job.name} started ${checkpoint.startedAt}: ${done} task(s) done, ${pending} to go`);
+  } else {
+    const now = new Date().toISOString();
+    checkpoint = { job: job.name, params: job.params, startedAt: now, updatedAt: now, usage: { requests: 0, tokens: 0, retries: 0 }, tasks: [] };
+  }
+  if (dryRun) console.log('🧪 Dry run: nothing is written and no checkpoint is kept; LLM calls still count against the budget');
+
+  const { tasks } = checkpoint;
+  const enqueue = (input) => {
+    if (!tasks.some((task) => task.id === input.id)) tasks.push({ id: input.id, status: 'pending', attempts: 0, input });
+  };
+  const previousUsage = { ...checkpoint.usage };
+  const save = () => {
+    if (dryRun) return;
+    const usage = llm?.usage() ?? {};
+    checkpoint.usage = Object.fromEntries(Object.entries(previousUsage).map(([key, value]) => [key, value + (usage[key] ?? 0)]));
+    saveCheckpoint(checkpoint);
+  };
+
+  if (tasks.length === 0) (await job.plan()).forEach(enqueue);
+  save();
+
+  const ctx = {
+    dryRun,
+    tasks,
+    enqueue,
+    write(label, fn) {
+      if (dryRun) {
+        console.log(`   📝 Would ${label}`);
+        return undefined;
+      }
+      return fn();
+    },
+  };
+
+  for (let task = tasks.find((t) => t.status === 'pending'); task; task = tasks.find((t) => t.status === 'pending')) {
+    task.attempts++;
+    try {
+      task.result = (await job.run(task.input, ctx)) ?? null;
+      task.status = 'done';
+      delete task.error;
+    } catch (error) {
+      if (error.code === 'BUDGET_EXHAUSTED') {
+        task.attempts--;
+        save();
+        console.warn(`\n⏸️  ${error.message}; ${counts(tasks).pending} task(s) left. Run the same command again to resume.`);
+        return { tasks, complete: false };
+      }
+      task.status = 'failed';
+      task.error = error.message;
+      console.error(`   ❌ ${task.id}: ${error.message}`);
+    }
+    save();
+  }
+
+  const { done, failed } = counts(tasks);
+  if (failed === 0) {
+    checkpoint.finishedAt = new Date().toISOString();
+    save();
+  } else {
+    console.warn(`\n⚠️  ${failed} of ${done + failed} task(s) failed; run the same command again to retry them`);
+  }
+  return { tasks, complete: failed === 0 };
+}
@@ -0,0 +1,74 @@
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_FIXTURE_DIR = join(__dirname, '../../fixtures/llm');
+
+// sha256 of everything that shapes a completion; revision records keep it in full
+export function requestHash({ messages, temperature, maxTokens, json }) {
+  return createHash('sha256')
+    .update(JSON.stringify({ messages, temperature, maxTokens, json }))
+    .digest('hex');
+}
+
+// Requests are keyed by content, not by call order, so replays stay
+// deterministic even if the pipeline reorders or skips calls
+export function fixtureKey(request) {
+  return requestHash(request).slice(0, 16);
+}
+
+const hasFixtures = (dir) => existsSync(dir) && readdirSync(dir).some((file) => file.endsWith('.json'));
+
+// Record/replay provider.
+// - replay: answers only from fixtures on disk, throws on a miss (no network).
+//   fixtures/llm holds the hand-written set test/replay.test.js replays; any
+//   other run has to be recorded once first, and a fixture directory with
+//   nothing in it fails up front with how to do that.
+// - record: forwards to `upstream` and saves every response as a fixture
+export function createFixtureProvider({
+  mode = process.env.LLM_FIXTURE_MODE || 'replay',
+  dir = process.env.LLM_FIXTURE_DIR || DEFAULT_FIXTURE_DIR,
+  upstream,
+} = {}) {
+  if (mode !== 'replay' && mode !== 'record') {
+    throw new Error(`Unknown LLM_FIXTURE_MODE "${mode}" (expected replay or record)`);
+  }
+  if (mode === 'record' && !upstream) {
+    throw new Error('Fixture provider in record mode needs an upstream provider');
+  }
+  if (mode === 'replay' && !hasFixtures(dir)) {
+    throw new Error(`No LLM fixtures in ${dir}, so there is nothing to replay. Record a run first with `
+      + 'LLM_PROVIDER=fixture LLM_FIXTURE_MODE=record LLM_FIXTURE_UPSTREAM=<groq|openai> (plus that provider\'s keys), '
+      + 'then run the same command again without LLM_FIXTURE_MODE to replay it offline.');
+  }
+
+  return {
+    name: mode === 'record' ? `fixture:record(${upstream.name})` : 'fixture',
+    model: mode === 'record' ? upstream.model : 'fixture',
+    async complete(request) {
+      const key = fixtureKey(request);
+      const filePath = join(dir, `${key}.json`);
+
+      if (mode === 'replay') {
+        if (!existsSync(filePath)) {
+          throw new Error(`No LLM fixture ${key} in ${dir}: this request was not in the recorded run (record it again with LLM_FIXTURE_MODE=record)`);
+        }
+        return JSON.parse(readFileSync(filePath, 'utf-8')).response;
+      }
+
+      const response = await upstream.complete(request);
+      mkdirSync(dir, { recursive: true });
+      writeFileSync(filePath, JSON.stringify({
+        key,
+        provider: upstream.name,
+        model: upstream.model,
+        recordedAt: new Date().toISOString(),
+        request,
+        response,
+      }, null, 2), 'utf-8');
+      return response;
+    },
+  };
+}
@@ -0,0 +1,24 @@
+import Groq from 'groq-sdk';
+
+export const DEFAULT_GROQ_MODEL = 'llama-3.3-70b-versatile';
+
+// Groq hosted models via the official SDK
+export function createGroqProvider({ apiKey = process.env.GROQ_API_KEY, model = DEFAULT_GROQ_MODEL } = {}) {
+  // No SDK retries: lib/budget.js paces requests and backs off on 429s for every provider
+  const groq = new Groq({ apiKey, maxRetries: 0 });
+
+  return {
+    name: 'groq',
+    model,
+    async complete({ messages, temperature, maxTokens, json = false }) {
+      const completion = await groq.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(json && { response_format: { type: 'json_object' } }),
+      });
+      return completion.choices[0]?.message?.content || '';
+    },
+  };
+}
@@ -0,0 +1,31 @@
+import { createGroqProvider } from './groq.js';
+import { createOpenAICompatibleProvider } from './openai-compatible.js';
+import { createFixtureProvider } from './fixture.js';
+
+// Shared LLM entry point for every bot script. A provider is
+//   { name, model, complete({ messages, temperature, maxTokens, json? }) => Promise<string> }
+// `json: true` asks the backend for a JSON-object response where supported.
+//
+// Selected with LLM_PROVIDER:
+//   groq     (default) GROQ_API_KEY, optional LLM_MODEL
+//   openai   OpenAI-compatible endpoint: LLM_BASE_URL, LLM_MODEL, optional LLM_API_KEY
+//   fixture  record/replay from disk: LLM_FIXTURE_MODE (replay|record),
+//            LLM_FIXTURE_DIR, LLM_FIXTURE_UPSTREAM (provider used when recording);
+//            `npm test` replays seed and refine from fixtures/
+export function createProvider(name = process.env.LLM_PROVIDER || 'groq') {
+  switch (name) {
+    case 'groq':
+      return createGroqProvider(process.env.LLM_MODEL ? { model: process.env.LLM_MODEL } : {});
+    case 'openai':
+      return createOpenAICompatibleProvider();
+    case 'fixture': {
+      const mode = process.env.LLM_FIXTURE_MODE || 'replay';
+      const upstream = mode === 'record'
+        ? createProvider(process.env.LLM_FIXTURE_UPSTREAM || 'groq')
+        : undefined;
+      return createFixtureProvider({ mode, upstream });
+    }
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}" (expected groq, openai or fixture)`);
+  }
+}
@@ -0,0 +1,46 @@
+export const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+// Any server speaking the OpenAI chat completions protocol: Ollama, LM Studio,
+// llama.cpp server, vLLM... The API key is optional for local endpoints.
+export function createOpenAICompatibleProvider({
+  baseUrl = process.env.LLM_BASE_URL || DEFAULT_BASE_URL,
+  apiKey = process.env.LLM_API_KEY,
+  model = process.env.LLM_MODEL,
+} = {}) {
+  if (!model) throw new Error('LLM_MODEL not set (required for the openai provider)');
+
+  const endpoint = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+    model,
+    async complete({ messages, temperature, maxTokens, json = false }) {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          ...(json && { response_format: { type: 'json_object' } }),
+        }),
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        // status and headers as on the Groq SDK's errors, for lib/budget.js to back off on
+        throw Object.assign(new Error(`LLM endpoint error (${response.status}): ${error}`), {
+          status: response.status,
+          headers: Object.fromEntries(response.headers),
+        });
+      }
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || '';
+    },
+  };
+}
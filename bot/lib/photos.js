@@ -0,0 +1,174 @@
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { basename, dirname, extname, join } from 'path';
+import { fileURLToPath } from 'url';
+// Pinned to the version Astro's image service uses in the site
+import sharp from 'sharp';
+import { GOOGLE_PLACES_BASE_URL, loadRecordings } from './places.js';
+import { mapsKey } from '../../src/lib/submissions.js';
+import { MAX_IMAGE_BYTES } from '../../src/lib/content-lint.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Candidate photos dropped in by hand: photos/<slug>/*.jpg, with optional
+// photos/<slug>/credits.json ({ "<file>": { "source": "<url>", "alt": "…" } })
+export const PHOTO_DROP_DIR = join(__dirname, '../photos');
+
+const DROP_EXTENSIONS = /\.(jpe?g|png|webp|avif|tiff?)$/i;
+
+// Keystatic's cover field asks for 3:2
+export const COVER_SIZE = { width: 1800, height: 1200 };
+export const GALLERY_MAX_SIDE = 1600;
+
+// Bits (of 64) two difference hashes may differ by and still be the same photo
+// (re-encoded, resized or lightly cropped)
+export const NEAR_DUPLICATE_BITS = 6;
+
+/**
+ * Decode, apply the EXIF orientation and drop every other bit of metadata
+ * (EXIF, GPS, XMP, ICC): sharp only writes metadata when asked to.
+ * @param {Buffer} input
+ */
+export function load(input) {
+  return sharp(input).rotate();
+}
+
+/**
+ * 64-bit difference hash: shrink to 9×8 greys and compare each pixel with its
+ * right neighbour. Near-identical photos land a few bits apart.
+ * @param {Buffer} input
+ * @returns {Promise<bigint>}
+ */
+export async function differenceHash(input) {
+  const pixels = await load(input).greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return hash;
+}
+
+export function hammingDistance(a, b) {
+  let diff = a ^ b;
+  let bits = 0;
+  while (diff > 0n) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+}
+
+/**
+ * Width × height, to prefer the larger of two near-identical photos.
+ * @param {Buffer} input
+ */
+export async function pixelCount(input) {
+  const { width = 0, height = 0 } = await sharp(input).metadata();
+  return width * height;
+}
+
+// Lower the quality until the file fits the content linter's size budget
+async function encodeWithin(pipeline, format) {
+  for (const quality of [82, 74, 66, 58]) {
+    const output = await pipeline.clone()[format]({ quality, ...(format === 'jpeg' && { mozjpeg: true }) }).toBuffer();
+    if (output.length <= MAX_IMAGE_BYTES || quality === 58) return output;
+  }
+}
+
+/**
+ * 3:2 cover JPEG, cropped around the most salient region. Smaller originals
+ * are cropped, never upscaled.
+ * @param {Buffer} input
+ */
+export async function coverImage(input) {
+  const metadata = await sharp(input).metadata();
+  // Dimensions as displayed, after the EXIF orientation is applied
+  const { width = 0, height = 0 } = metadata.autoOrient ?? metadata;
+  const scale = Math.min(1, width / COVER_SIZE.width, height / COVER_SIZE.height);
+  const size = { width: Math.round(COVER_SIZE.width * scale), height: Math.round(COVER_SIZE.height * scale) };
+  return encodeWithin(load(input).resize({ ...size, fit: 'cover', position: sharp.strategy.attention }), 'jpeg');
+}
+
+/**
+ * Gallery WebP at its own aspect ratio, longest side capped.
+ * @param {Buffer} input
+ */
+export async function galleryImage(input) {
+  return encodeWithin(load(input).resize({ width: GALLERY_MAX_SIDE, height: GALLERY_MAX_SIDE, fit: 'inside', withoutEnlargement: true }), 'webp');
+}
+
+/**
+ * Photos waiting in the drop folder for a bundle, in file-name order.
+ * @param {string} slug
+ * @returns {{ origin: string, load: () => Promise<Buffer>, source?: string, alt?: string, hint?: string }[]}
+ */
+export function dropFolderPhotos(slug) {
+  const dir = join(PHOTO_DROP_DIR, slug);
+  if (!existsSync(dir)) return [];
+  const creditsFile = join(dir, 'credits.json');
+  const credits = existsSync(creditsFile) ? JSON.parse(readFileSync(creditsFile, 'utf-8')) : {};
+
+  return readdirSync(dir)
+    .filter((file) => DROP_EXTENSIONS.test(file))
+    .sort()
+    .map((file) => ({
+      origin: `photos/${slug}/${file}`,
+      load: async () => readFileSync(join(dir, file)),
+      source: credits[file]?.source,
+      alt: credits[file]?.alt,
+      // "window-seat.jpg" -> "window seat"; camera names like IMG_0042 say nothing
+      hint: /^(img|dsc|pxl|photo)?[_-]?\d+$/i.test(basename(file, extname(file)))
+        ? undefined
+        : basename(file, extname(file)).replace(/[_-]+/g, ' ').trim(),
+    }));
+}
+
+/**
+ * Photo references for a place in the recorded Places responses (the seeder's
+ * --record), matched by Google place id. Empty when nothing was recorded or the
+ * recording predates photos being in the field mask.
+ * @param {string[]} uris Google Maps URIs on record for the bundle
+ */
+export function recordedPlacePhotos(uris) {
+  const keys = new Set(uris.map(mapsKey));
+  const place = loadRecordings()
+    .flatMap((recording) => recording.response.places || [])
+    .find((candidate) => candidate.googleMapsUri && keys.has(mapsKey(candidate.googleMapsUri)));
+
+  return (place?.photos || []).map((photo) => ({
+    origin: photo.name,
+    load: () => fetchPlacePhoto(photo.name),
+    // The contributor's Maps profile, which Google requires to be credited
+    source: photo.authorAttributions?.[0]?.uri,
+    credit: photo.authorAttributions?.[0]?.displayName,
+  }));
+}
+
+// Places photo media: resolve the reference to a short-lived URL, then download it
+async function fetchPlacePhoto(name) {
+  const baseUrl = process.env.PLACES_BASE_URL || GOOGLE_PLACES_BASE_URL;
+  const apiKey = process.env.GOOGLE_PLACES_API_KEY;
+  if (!apiKey && baseUrl === GOOGLE_PLACES_BASE_URL) throw new Error('GOOGLE_PLACES_API_KEY not set');
+
+  const media = await fetch(`${baseUrl.replace(/\/$/, '')}/v1/${name}/media?maxWidthPx=2400&skipHttpRedirect=true`, {
+    headers: { 'X-Goog-Api-Key': apiKey || 'standin' },
+  });
+  if (!media.ok) throw new Error(`Places photo error: ${await media.text()}`);
+  const { photoUri } = await media.json();
+
+  const image = await fetch(photoUri);
+  if (!image.ok) throw new Error(`Photo download failed (${image.status}) for ${name}`);
+  return Buffer.from(await image.arrayBuffer());
+}
+
+/**
+ * Placeholder alt text from what is known without looking at the photo; the
+ * ingest report asks a curator to describe each one properly.
+ * @param {{ title: string, neighborhood: string, role: 'cover' | 'gallery', index?: number, hint?: string }} photo
+ */
+export function draftAlt({ title, neighborhood, role, index = 0, hint }) {
+  const place = `${title} in ${neighborhood}, Madrid`;
+  if (role === 'cover') return hint ? `${place}: ${hint}` : place;
+  return hint ? `${hint[0].toUpperCase()}${hint.slice(1)} at ${place}` : `Photo ${index + 1} of ${place}`;
+}
@@ -0,0 +1,139 @@
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, readdirSync, existsSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { slugify } from './spots.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const RECORDINGS_DIR = join(__dirname, '../fixtures/places');
+
+export const GOOGLE_PLACES_BASE_URL = 'https://places.googleapis.com';
+export const PLACES_FIELD_MASK = 'places.displayName,places.formattedAddress,places.rating,places.googleMapsUri,places.reviews,places.location,places.priceLevel,places.regularOpeningHours.periods,places.photos';
+
+// One recording per text query: readable prefix + hash so similar queries never collide
+export function recordingPath(query) {
+  const hash = createHash('sha256').update(query).digest('hex').slice(0, 8);
+  return join(RECORDINGS_DIR, `${slugify(query).slice(0, 60)}-${hash}.json`);
+}
+
+export function loadRecordings() {
+  if (!existsSync(RECORDINGS_DIR)) return [];
+  return readdirSync(RECORDINGS_DIR)
+    .filter((f) => f.endsWith('.json'))
+    .map((f) => JSON.parse(readFileSync(join(RECORDINGS_DIR, f), 'utf-8')));
+}
+
+function saveRecording(query, response) {
+  mkdirSync(RECORDINGS_DIR, { recursive: true });
+  writeFileSync(recordingPath(query), JSON.stringify({
+    query,
+    fieldMask: PLACES_FIELD_MASK,
+    recordedAt: new Date().toISOString(),
+    response,
+  }, null, 2), 'utf-8');
+}
+
+// Trim a searchText response down to the fields a X-Goog-FieldMask asks for
+// ("places.displayName,places.location.latitude", or "*" for everything)
+export function applyFieldMask(response, fieldMask) {
+  if (!fieldMask || fieldMask.trim() === '*') return response;
+
+  const paths = fieldMask.split(',').map((p) => p.trim().split('.')).filter((p) => p[0] === 'places');
+  if (paths.some((p) => p.length === 1 || p[1] === '*')) return response;
+
+  const places = (response.places || []).map((place) => {
+    const masked = {};
+    for (const [, ...path] of paths) {
+      let source = place;
+      let target = masked;
+      for (let i = 0; i < path.length && source !== undefined; i++) {
+        const key = path[i];
+        source = source[key];
+        if (source === undefined) break;
+        if (i === path.length - 1 || typeof source !== 'object') {
+          target[key] = source;
+        } else {
+          target = target[key] ??= {};
+        }
+      }
+    }
+    return masked;
+  });
+
+  return places.length > 0 ? { places } : {};
+}
+
+// Places periods use day 0 = Sunday; the site schema is mon..sun
+const PLACES_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const SITE_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const hhmm = ({ hour = 0, minute = 0 }) => `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+
+// regularOpeningHours -> `hours` frontmatter (src/lib/spot-schema.js), merging
+// days that share the same open/close times. A single period without a close
+// is Google's way of saying "open 24/7".
+export function placeHoursToSchedule(openingHours) {
+  const periods = openingHours?.periods || [];
+  if (periods.length === 1 && !periods[0].close) {
+    return [{ days: [...SITE_DAYS], open: '00:00', close: '00:00' }];
+  }
+
+  const ranges = new Map();
+  for (const { open, close } of periods) {
+    if (!open || !close) continue;
+    const key = `${hhmm(open)}-${hhmm(close)}`;
+    if (!ranges.has(key)) ranges.set(key, { days: [], open: hhmm(open), close: hhmm(close) });
+    ranges.get(key).days.push(PLACES_DAYS[open.day]);
+  }
+
+  return [...ranges.values()].map((range) => ({
+    ...range,
+    days: SITE_DAYS.filter((day) => range.days.includes(day)),
+  }));
+}
+
+// Text search against Google Places (or a stand-in via PLACES_BASE_URL).
+// mode: 'live' hits the API, 'record' hits the API and saves the raw response,
+// 'replay' answers from recordings only (no network, no API key).
+export async function fetchPlaces(query, { mode = 'live' } = {}) {
+  if (mode === 'replay') {
+    const filePath = recordingPath(query);
+    if (!existsSync(filePath)) {
+      console.warn(`   ⚠️  No Places recording for "${query}" in ${RECORDINGS_DIR}`);
+      return [];
+    }
+    return JSON.parse(readFileSync(filePath, 'utf-8')).response.places || [];
+  }
+
+  const baseUrl = process.env.PLACES_BASE_URL || GOOGLE_PLACES_BASE_URL;
+  const apiKey = process.env.GOOGLE_PLACES_API_KEY;
+  // The local stand-in does not check keys
+  if (!apiKey && baseUrl === GOOGLE_PLACES_BASE_URL) throw new Error('GOOGLE_PLACES_API_KEY not set');
+
+  const response = await fetch(`${baseUrl.replace(/\/$/, '')}/v1/places:searchText`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Goog-Api-Key': apiKey || 'standin',
+      'X-Goog-FieldMask': PLACES_FIELD_MASK,
+    },
+    body: JSON.stringify({
+      textQuery: query,
+      languageCode: 'en',
+      maxResultCount: 20,
+    }),
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Google Places API error: ${error}`);
+  }
+
+  const data = await response.json();
+
+  if (mode === 'record') {
+    saveRecording(query, data);
+    console.log(`   💾 Recorded Places response to ${recordingPath(query)}`);
+  }
+
+  return data.places || [];
+}
@@ -0,0 +1,23 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const PROCESSED_FILE = join(__dirname, '../processed-spots.json');
+
+// Places already turned into spots, keyed by Google Maps URI (for deduplication).
+// Also read by the site's /api/submit endpoint.
+export function loadProcessedSpots() {
+  if (existsSync(PROCESSED_FILE)) {
+    try {
+      return JSON.parse(readFileSync(PROCESSED_FILE, 'utf-8'));
+    } catch {
+      return [];
+    }
+  }
+  return [];
+}
+
+export function saveProcessedSpots(spots) {
+  writeFileSync(PROCESSED_FILE, JSON.stringify(spots, null, 2), 'utf-8');
+}
@@ -0,0 +1,26 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const REFINED_FILE = join(__dirname, '../refined-spots.json');
+
+// Reviews already rewritten by the refiner, keyed by bundle slug.
+// Entries from the flat-file era carry `filename: "<slug>.mdx"` instead.
+export function loadRefinedSpots() {
+  if (existsSync(REFINED_FILE)) {
+    try {
+      return JSON.parse(readFileSync(REFINED_FILE, 'utf-8')).map(({ filename, ...entry }) => ({
+        slug: entry.slug || filename?.replace(/\.mdx$/, ''),
+        ...entry,
+      }));
+    } catch {
+      return [];
+    }
+  }
+  return [];
+}
+
+export function saveRefinedSpots(spots) {
+  writeFileSync(REFINED_FILE, JSON.stringify(spots, null, 2), 'utf-8');
+}
@@ -0,0 +1,43 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const REVIEW_QUEUE_FILE = join(__dirname, '../review-queue.json');
+
+// Places the bot could not turn into a valid spot. They are never published
+// with made-up metrics; a curator fixes them by hand or a later run retries.
+export function loadReviewQueue() {
+  if (existsSync(REVIEW_QUEUE_FILE)) {
+    try {
+      return JSON.parse(readFileSync(REVIEW_QUEUE_FILE, 'utf-8'));
+    } catch {
+      return [];
+    }
+  }
+  return [];
+}
+
+export function saveReviewQueue(queue) {
+  writeFileSync(REVIEW_QUEUE_FILE, JSON.stringify(queue, null, 2), 'utf-8');
+}
+
+// Add or refresh an entry (one per Google Maps URI), counting attempts
+export function quarantine(queue, entry) {
+  const existing = queue.find((q) => q.uri === entry.uri);
+  const attempts = (existing?.attempts || 0) + 1;
+  const record = { ...entry, attempts, queuedAt: new Date().toISOString() };
+
+  if (existing) {
+    queue.splice(queue.indexOf(existing), 1, record);
+  } else {
+    queue.push(record);
+  }
+  return record;
+}
+
+// Drop an entry once its place has been published
+export function release(queue, uri) {
+  const index = queue.findIndex((q) => q.uri === uri);
+  if (index !== -1) queue.splice(index, 1);
+}
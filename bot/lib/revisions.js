@@ -0,0 +1,126 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync, rmSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { revisionsFileSchema } from '../../src/lib/revisions.js';
+import { day } from './spots.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// One file per spot, read by the site's `revisions` collection (src/lib/revisions.js)
+export const REVISIONS_DIR = join(__dirname, '../../src/content/revisions');
+
+const revisionsPath = (slug) => join(REVISIONS_DIR, `${slug}.json`);
+
+export function loadRevisions(slug) {
+  const filePath = revisionsPath(slug);
+  if (!existsSync(filePath)) return [];
+  return revisionsFileSchema.parse(JSON.parse(readFileSync(filePath, 'utf-8'))).revisions;
+}
+
+export function saveRevisions(slug, revisions) {
+  mkdirSync(REVISIONS_DIR, { recursive: true });
+  writeFileSync(revisionsPath(slug), `${JSON.stringify({ revisions }, null, 2)}\n`, 'utf-8');
+}
+
+export function removeRevisions(slug) {
+  if (existsSync(revisionsPath(slug))) rmSync(revisionsPath(slug));
+}
+
+// The history with the bundle's current text at the end: archived as the
+// `original` when there is no history yet, else as an `edit` made outside the bot
+function withCurrent(revisions, { frontmatter, body }, now) {
+  const text = body.trim();
+  if (revisions.length > 0 && revisions.at(-1).body === text) return revisions;
+
+  // The original has no better date than the bundle's own; an edit is dated when found
+  const dated = day(frontmatter.updated_at) ?? day(frontmatter.published_at);
+  return [...revisions, {
+    kind: revisions.length === 0 ? 'original' : 'edit',
+    revisedAt: revisions.length === 0 && dated ? `${dated}T00:00:00.000Z` : now,
+    ...(frontmatter.author && { author: frontmatter.author }),
+    body: text,
+  }];
+}
+
+function revision({ kind, body, ...details }, now) {
+  return {
+    kind,
+    revisedAt: now,
+    ...Object.fromEntries(Object.entries(details).filter(([, value]) => value !== undefined)),
+    body: body.trim(),
+  };
+}
+
+/**
+ * Archive the body a bundle is about to get. Call before writing the bundle,
+ * so its current text is archived first when the history does not end with it.
+ * @param {string} slug
+ * @param {{ frontmatter: object, body: string }} current The bundle as read now
+ * @param {{ kind: string, body: string, author?: string, model?: string, promptHash?: string, restoredFrom?: number, origin?: string }} next
+ * @returns {number} Number of the new revision (1-based)
+ */
+export function recordRevision(slug, current, next) {
+  const now = new Date().toISOString();
+  const revisions = [...withCurrent(loadRevisions(slug), current, now), revision(next, now)];
+  saveRevisions(slug, revisions);
+  return revisions.length;
+}
+
+/**
+ * Fold a merged duplicate's history into the kept spot's, then record the
+ * merge itself. The retired texts follow the kept spot's own, marked with
+ * their `origin`, so nothing written for either page is lost.
+ * @param {string} keep
+ * @param {string} retire
+ * @param {{ kept: { frontmatter: object, body: string }, retired: { frontmatter: object, body: string } }} bundles
+ * @param {{ body: string, author?: string, origin?: string }} next The merged review
+ * @returns {number} Number of the merge revision (1-based)
+ */
+export function recordMerge(keep, retire, { kept, retired }, next) {
+  const now = new Date().toISOString();
+  const own = withCurrent(loadRevisions(keep), kept, now);
+  const moved = withCurrent(loadRevisions(retire), retired, now).map(({ body, ...entry }) => ({
+    ...entry,
+    origin: entry.origin ?? retire,
+    ...(entry.restoredFrom && { restoredFrom: entry.restoredFrom + own.length }),
+    body,
+  }));
+  const revisions = [...own, ...moved, revision({ kind: 'merge', ...next }, now)];
+  saveRevisions(keep, revisions);
+  removeRevisions(retire);
+  return revisions.length;
+}
+
+/**
+ * Line diff (longest common subsequence). Review paragraphs are single lines,
+ * so a changed paragraph shows as one removed and one added line.
+ * @param {string} before
+ * @param {string} after
+ * @returns {{ op: ' ' | '-' | '+', line: string }[]}
+ */
+export function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  // common[i][j]: length of the LCS of a[i..] and b[j..]
+  const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ op: ' ', line: a[i++] });
+      j++;
+    } else if (i < a.length && (j === b.length || common[i + 1][j] >= common[i][j + 1])) {
+      lines.push({ op: '-', line: a[i++] });
+    } else {
+      lines.push({ op: '+', line: b[j++] });
+    }
+  }
+  return lines;
+}
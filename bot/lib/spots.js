@@ -0,0 +1,129 @@
+import yaml from 'js-yaml';
+import { readFileSync, writeFileSync, readdirSync, existsSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { translationEntry } from '../../src/lib/translations.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Keystatic collection root: every spot is a bundle at spots/<slug>/index.mdx
+export const SPOTS_DIR = join(__dirname, '../../src/content/spots');
+// Reader submissions awaiting a curator (written by the site's /api/submit)
+export const PENDING_DIR = join(__dirname, '../../src/content/pending');
+export const BUNDLE_ENTRY = 'index.mdx';
+
+// YYYY-MM-DD from an ISO timestamp, or from the Date js-yaml makes of an
+// unquoted frontmatter date (as Keystatic writes it)
+export const day = (value) => (value instanceof Date ? value.toISOString() : value)?.slice(0, 10);
+
+export function slugify(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove diacritics
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+}
+
+// Every helper takes an optional root so the same layout works for PENDING_DIR
+export function bundleDir(slug, root = SPOTS_DIR) {
+  return join(root, slug);
+}
+
+export function bundlePath(slug, root = SPOTS_DIR) {
+  return join(bundleDir(slug, root), BUNDLE_ENTRY);
+}
+
+export function bundleExists(slug, root = SPOTS_DIR) {
+  return existsSync(bundlePath(slug, root));
+}
+
+// List every bundle slug (directories that contain an index.mdx)
+export function listBundles(root = SPOTS_DIR) {
+  if (!existsSync(root)) return [];
+  return readdirSync(root, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && existsSync(bundlePath(entry.name, root)))
+    .map((entry) => entry.name)
+    .sort();
+}
+
+// Split an MDX file into parsed YAML frontmatter and body
+export function parseMdx(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+  if (!match) {
+    throw new Error('Invalid MDX format - no frontmatter found');
+  }
+  return {
+    frontmatter: yaml.load(match[1]) || {},
+    body: match[2].trim(),
+  };
+}
+
+export function readBundle(slug, root = SPOTS_DIR) {
+  const filePath = bundlePath(slug, root);
+  if (!existsSync(filePath)) {
+    throw new Error(`Bundle not found: ${slug}/${BUNDLE_ENTRY}`);
+  }
+  return { slug, ...parseMdx(readFileSync(filePath, 'utf-8')) };
+}
+
+// keystatic.config.ts field order, so a later Keystatic save produces a clean diff
+const FIELD_ORDER = [
+  'title', 'author', 'address', 'maps_url', 'chain', 'neighborhood', 'published_at', 'updated_at',
+  'coverImage', 'gallery', 'metrics', 'hours', 'laptop_policy', 'wifi_time_limit',
+];
+
+// Reorder frontmatter keys after adding fields a bundle did not have; unknown keys go last
+export function inFieldOrder(frontmatter) {
+  const rank = (key) => (FIELD_ORDER.includes(key) ? FIELD_ORDER.indexOf(key) : FIELD_ORDER.length);
+  return Object.fromEntries(Object.entries(frontmatter).sort(([a], [b]) => rank(a) - rank(b)));
+}
+
+// "./<dir>/image<ext>" inside a bundle, or image-2, image-3… when taken
+export function freeImagePath(slug, dir, ext, root = SPOTS_DIR) {
+  for (let n = 1; ; n++) {
+    const relative = `./${dir}/image${n === 1 ? '' : `-${n}`}${ext}`;
+    if (!existsSync(join(bundleDir(slug, root), relative))) return relative;
+  }
+}
+
+// Serialize frontmatter with js-yaml (same dumper Keystatic uses), so quotes,
+// colons and long strings are escaped/folded instead of breaking the file
+export function serializeMdx(frontmatter, body) {
+  return `---\n${yaml.dump(frontmatter)}---\n\n${body.trim()}\n`;
+}
+
+// Write a new bundle. Refuses to touch an existing one unless overwrite is set.
+export function writeBundle(slug, frontmatter, body, { overwrite = false } = {}) {
+  const filePath = bundlePath(slug);
+
+  if (!overwrite && existsSync(filePath)) {
+    throw new Error(`Bundle already exists: ${slug}/${BUNDLE_ENTRY}`);
+  }
+
+  mkdirSync(bundleDir(slug), { recursive: true });
+  writeFileSync(filePath, serializeMdx({ slug, ...frontmatter }, body), 'utf-8');
+  return filePath;
+}
+
+// Rewrite an existing bundle in place, keeping every frontmatter key it already has
+export function updateBundle(slug, frontmatter, body) {
+  return writeBundle(slug, frontmatter, body, { overwrite: true });
+}
+
+// Translated review bodies sit next to index.mdx as index.<locale>.mdx
+export function translationPath(slug, locale, root = SPOTS_DIR) {
+  return join(bundleDir(slug, root), translationEntry(locale));
+}
+
+export function readTranslation(slug, locale, root = SPOTS_DIR) {
+  const filePath = translationPath(slug, locale, root);
+  if (!existsSync(filePath)) return null;
+  return parseMdx(readFileSync(filePath, 'utf-8'));
+}
+
+export function writeTranslation(slug, locale, frontmatter, body, root = SPOTS_DIR) {
+  const filePath = translationPath(slug, locale, root);
+  writeFileSync(filePath, serializeMdx(frontmatter, body), 'utf-8');
+  return filePath;
+}
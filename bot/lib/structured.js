@@ -0,0 +1,37 @@
+// Ask an LLM provider for JSON and validate it against a zod schema.
+// Invalid output is fed back to the model with the validation errors, up to
+// `retries` extra attempts. Never invents a fallback value.
+export async function completeStructured(llm, { messages, temperature, maxTokens }, schema, { retries = 2 } = {}) {
+  const conversation = [...messages];
+  let errors = [];
+  let raw = '';
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    raw = await llm.complete({ messages: conversation, temperature, maxTokens, json: true });
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (err) {
+      errors = [`Response is not valid JSON: ${err.message}`];
+    }
+
+    if (parsed !== undefined) {
+      const result = schema.safeParse(parsed);
+      if (result.success) {
+        return { ok: true, data: result.data, attempts: attempt + 1 };
+      }
+      errors = result.error.issues.map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+    }
+
+    conversation.push(
+      { role: 'assistant', content: raw },
+      {
+        role: 'user',
+        content: `That response failed validation:\n${errors.map((e) => `- ${e}`).join('\n')}\n\nRespond again with ONLY the corrected JSON object.`,
+      },
+    );
+  }
+
+  return { ok: false, errors, raw, attempts: retries + 1 };
+}
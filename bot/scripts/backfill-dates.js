@@ -0,0 +1,82 @@
+import { listBundles, readBundle, updateBundle, day, BUNDLE_ENTRY } from '../lib/spots.js';
+import { loadProcessedSpots } from '../lib/processed.js';
+import { loadRefinedSpots } from '../lib/refined.js';
+
+// Give existing bundles the published_at/updated_at frontmatter the feeds are
+// ordered by, from the bots' own logs: the seeder's processedAt is the publish
+// date, the refiner's refinedAt the last update. A bundle renamed after seeding
+// has no processedAt under its slug; its refinedAt is then the earliest date on
+// record and is used as the publish date. Dates already in frontmatter win.
+// Dry run by default; pass --write to update frontmatter.
+
+// Latest entry per slug (a bundle can be refined more than once)
+function bySlug(entries, field) {
+  const dates = new Map();
+  for (const entry of entries) {
+    const date = day(entry[field]);
+    if (date && (!dates.has(entry.slug) || dates.get(entry.slug) < date)) {
+      dates.set(entry.slug, date);
+    }
+  }
+  return dates;
+}
+
+// Insert the dates after `neighborhood`, where keystatic.config.ts puts them
+function withDates(frontmatter, dates) {
+  const entries = Object.entries(frontmatter).filter(([key]) => !(key in dates));
+  const at = entries.findIndex(([key]) => key === 'neighborhood') + 1 || entries.length;
+  entries.splice(at, 0, ...Object.entries(dates));
+  return Object.fromEntries(entries);
+}
+
+function main() {
+  const write = process.argv.includes('--write');
+
+  console.log(`📅 Publish date backfill ${write ? '' : '(dry run) '}from processed-spots.json and refined-spots.json\n`);
+
+  const processed = bySlug(loadProcessedSpots(), 'processedAt');
+  const refined = bySlug(loadRefinedSpots(), 'refinedAt');
+
+  const changes = [];
+  const undated = [];
+  let unchanged = 0;
+
+  for (const slug of listBundles()) {
+    const { frontmatter, body } = readBundle(slug);
+    const published = day(frontmatter.published_at) || processed.get(slug) || refined.get(slug);
+    const refinedOn = refined.get(slug);
+    const updated = day(frontmatter.updated_at) || (refinedOn && refinedOn > published ? refinedOn : undefined);
+
+    if (!published) {
+      undated.push(slug);
+      continue;
+    }
+
+    const dates = { published_at: published, ...(updated && { updated_at: updated }) };
+    if (frontmatter.published_at && (frontmatter.updated_at || !updated)) {
+      unchanged++;
+      continue;
+    }
+
+    changes.push(slug);
+    console.log(`   ${slug}: published ${published}${updated ? `, updated ${updated}` : ''}`);
+
+    if (write) {
+      updateBundle(slug, withDates(frontmatter, dates), body);
+    }
+  }
+
+  console.log(`\n📋 ${changes.length} to date, ${unchanged} already dated, ${undated.length} without a date on record`);
+
+  if (undated.length > 0) {
+    console.log('⚠️  Set published_at by hand (or in Keystatic) for:');
+    undated.forEach((slug) => console.log(`   - ${slug}/${BUNDLE_ENTRY}`));
+    process.exitCode = 1;
+  }
+
+  if (!write && changes.length > 0) {
+    console.log('\nRe-run with --write to apply.');
+  }
+}
+
+main();
@@ -0,0 +1,68 @@
+import { listBundles, readBundle, updateBundle, BUNDLE_ENTRY } from '../lib/spots.js';
+import { resolveNeighborhood, NEIGHBORHOODS_GEOJSON } from '../lib/geo.js';
+import { findNeighborhood, neighborhoodName } from '../../src/lib/neighborhoods.js';
+
+// Normalize `neighborhood` on every existing bundle to a registry slug. A value
+// that already names a barrio (slug, name or alias) is kept: the polygons are
+// hand-traced approximations and misplace points near their edges, so they only
+// decide for spots labelled with a district ("Centro") or nothing. Where they
+// disagree with a kept label the spot is listed for a curator to check.
+// Dry run by default; pass --write to update frontmatter. Bundle directories
+// (and so /spots/<slug>/ URLs) are never renamed.
+function main() {
+  const write = process.argv.includes('--write');
+
+  console.log(`🗺️  Neighborhood backfill ${write ? '' : '(dry run) '}using ${NEIGHBORHOODS_GEOJSON}\n`);
+
+  const changes = [];
+  const unresolved = [];
+  const disputed = [];
+  let unchanged = 0;
+
+  for (const slug of listBundles()) {
+    const { frontmatter, body } = readBundle(slug);
+    const labelled = findNeighborhood(frontmatter.neighborhood);
+    const located = resolveNeighborhood(frontmatter.metrics?.coordinates);
+    const resolved = labelled || located;
+
+    if (labelled && located && located !== labelled) {
+      disputed.push({ slug, labelled, located });
+    }
+
+    if (!resolved) {
+      unresolved.push({ slug, value: frontmatter.neighborhood });
+      continue;
+    }
+
+    if (resolved === frontmatter.neighborhood) {
+      unchanged++;
+      continue;
+    }
+
+    changes.push({ slug, from: frontmatter.neighborhood, to: resolved });
+    console.log(`   ${slug}: ${frontmatter.neighborhood} → ${resolved} (${neighborhoodName(resolved)})`);
+
+    if (write) {
+      updateBundle(slug, { ...frontmatter, neighborhood: resolved }, body);
+    }
+  }
+
+  console.log(`\n📋 ${changes.length} to change, ${unchanged} already correct, ${unresolved.length} unresolved`);
+
+  if (disputed.length > 0) {
+    console.log('🔍 Labels kept where the polygons disagree (check by hand, fix the polygon or the label):');
+    disputed.forEach(({ slug, labelled, located }) => console.log(`   - ${slug}: ${neighborhoodName(labelled)}, polygon says ${neighborhoodName(located)}`));
+  }
+
+  if (unresolved.length > 0) {
+    console.log('⚠️  Left untouched (outside every polygon and not a known neighborhood):');
+    unresolved.forEach(({ slug, value }) => console.log(`   - ${slug}/${BUNDLE_ENTRY} (${value})`));
+    process.exitCode = 1;
+  }
+
+  if (!write && changes.length > 0) {
+    console.log('\nRe-run with --write to apply.');
+  }
+}
+
+main();
@@ -0,0 +1,88 @@
+import { readBundle, updateBundle, slugify, day } from '../lib/spots.js';
+import { spotCandidates } from '../lib/duplicates.js';
+import { findMatches, chainGroups, cleanName } from '../../src/lib/duplicates.js';
+
+// Which of two duplicates to keep: the listed one, then the older one, then by slug
+function suggestKeep(a, b) {
+  if (a.listed !== b.listed) return a.listed ? [a, b] : [b, a];
+  const dateA = day(a.published_at) ?? '9999';
+  const dateB = day(b.published_at) ?? '9999';
+  if (dateA !== dateB) return dateA < dateB ? [a, b] : [b, a];
+  return a.slug < b.slug ? [a, b] : [b, a];
+}
+
+const distance = (meters) => (meters === null ? 'no coordinates' : `${Math.round(meters)} m apart`);
+
+// Insert `chain` just before `neighborhood`, where keystatic.config.ts puts it
+function withChain(frontmatter, chain) {
+  const entries = Object.entries(frontmatter).filter(([key]) => key !== 'chain');
+  const neighborhood = entries.findIndex(([key]) => key === 'neighborhood');
+  entries.splice(neighborhood === -1 ? entries.length : neighborhood, 0, ['chain', chain]);
+  return Object.fromEntries(entries);
+}
+
+// Usage: npm run duplicates                  -> report duplicates and chains
+//        npm run duplicates -- --json        -> the same as JSON
+//        npm run duplicates -- --write       -> also set `chain` on branches that lack it
+// Duplicates are never changed here; merge them with `npm run merge`.
+function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const write = args.includes('--write');
+
+  const candidates = spotCandidates();
+  const bySlug = new Map(candidates.map((candidate) => [candidate.slug, candidate]));
+  const matches = findMatches(candidates);
+
+  const duplicates = matches.filter((match) => match.kind !== 'branch').map((match) => {
+    const [keep, retire] = suggestKeep(bySlug.get(match.a), bySlug.get(match.b));
+    return { ...match, keep: keep.slug, retire: retire.slug };
+  });
+
+  // One chain id per group: the one already in use, else the cleaned name
+  const chains = chainGroups(matches).map((slugs) => {
+    const members = slugs.map((slug) => bySlug.get(slug));
+    const existing = [...new Set(members.map((member) => member.chain).filter(Boolean))];
+    const chain = existing[0] || slugify(cleanName(members[0].title));
+    return { chain, slugs, conflicting: existing.length > 1, missing: members.filter((member) => member.chain !== chain).map((member) => member.slug) };
+  });
+
+  if (json) {
+    console.log(JSON.stringify({ checked: candidates.length, duplicates, chains }, null, 2));
+  } else {
+    console.log(`🔎 Duplicate check across ${candidates.length} spots\n`);
+
+    console.log(duplicates.length === 0 ? '✅ No duplicates' : `🟥 ${duplicates.length} likely duplicate(s)`);
+    duplicates.forEach((match) => {
+      console.log(`   ${match.a} ↔ ${match.b}: ${match.reason}, ${distance(match.meters)} (${match.kind})`);
+      console.log(`      npm run merge -- ${match.keep} ${match.retire}`);
+    });
+
+    console.log(chains.length === 0 ? '\n✅ No chains' : `\n🔗 ${chains.length} chain(s) with branches at different addresses`);
+    chains.forEach(({ chain, slugs, conflicting, missing }) => {
+      const status = conflicting ? '⚠️  branches disagree on the chain id' : missing.length > 0 ? `chain not set on ${missing.join(', ')}` : 'linked';
+      console.log(`   ${chain}: ${slugs.join(', ')} (${status})`);
+    });
+  }
+
+  if (!write) {
+    if (!json && chains.some((group) => group.missing.length > 0)) {
+      console.log('\n💡 Run with --write to set the chain field on unlinked branches');
+    }
+    return;
+  }
+
+  let updated = 0;
+  for (const { chain, missing, conflicting } of chains) {
+    // A curator has to pick between two ids
+    if (conflicting) continue;
+    for (const slug of missing) {
+      const { frontmatter, body } = readBundle(slug);
+      updateBundle(slug, withChain(frontmatter, chain), body);
+      updated++;
+    }
+  }
+  if (!json) console.log(`\n🔗 Set chain on ${updated} bundle(s)`);
+}
+
+main();
@@ -0,0 +1,179 @@
+import 'dotenv/config';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import {
+  listBundles, readBundle, updateBundle, bundleDir, bundleExists, inFieldOrder, freeImagePath,
+} from '../lib/spots.js';
+import { loadProcessedSpots } from '../lib/processed.js';
+import {
+  PHOTO_DROP_DIR, NEAR_DUPLICATE_BITS, dropFolderPhotos, recordedPlacePhotos,
+  differenceHash, hammingDistance, pixelCount, coverImage, galleryImage, draftAlt,
+} from '../lib/photos.js';
+import { neighborhoodName } from '../../src/lib/neighborhoods.js';
+
+// Cover plus gallery; more than this and the evidence grid stops being useful
+const MAX_PHOTOS = 6;
+
+// Bundles worth a pass: no cover (left out of every listing), or photos waiting
+function defaultTargets() {
+  return listBundles().filter((slug) => !readBundle(slug).frontmatter.coverImage?.image || dropFolderPhotos(slug).length > 0);
+}
+
+async function ingest(slug, { write, places }) {
+  const { frontmatter, body } = readBundle(slug);
+  const uris = loadProcessedSpots().filter((entry) => entry.slug === slug).map((entry) => entry.uri);
+
+  // Hand-picked photos win; Places photos only fill an empty drop folder
+  const dropped = dropFolderPhotos(slug);
+  const candidates = dropped.length > 0 ? dropped : places ? recordedPlacePhotos(uris) : [];
+  if (candidates.length === 0) {
+    console.log(`\n📭 ${slug}: no photos in ${PHOTO_DROP_DIR}/${slug}/${places ? ' and none recorded from Places' : ''}`);
+    return { added: 0, drafts: [] };
+  }
+
+  console.log(`\n📸 ${slug}: ${candidates.length} candidate(s) from ${dropped.length > 0 ? 'the drop folder' : 'Places'}`);
+
+  // Places photos are downloaded (and billed) only when writing
+  if (!write && dropped.length === 0) {
+    candidates.slice(0, MAX_PHOTOS).forEach((candidate) => console.log(`   • ${candidate.origin}${candidate.credit ? ` (© ${candidate.credit})` : ''}`));
+    return { added: 0, drafts: [] };
+  }
+
+  const existing = [frontmatter.coverImage, ...(frontmatter.gallery || [])]
+    .filter((photo) => photo?.image && existsSync(join(bundleDir(slug), photo.image)));
+  const seen = await Promise.all(existing.map(async (photo) => ({
+    origin: photo.image,
+    hash: await differenceHash(readFileSync(join(bundleDir(slug), photo.image))),
+  })));
+
+  let cover = frontmatter.coverImage?.image ? frontmatter.coverImage : undefined;
+  const gallery = [...(frontmatter.gallery || [])];
+  const writes = [];
+  const drafts = [];
+  const neighborhood = neighborhoodName(frontmatter.neighborhood);
+
+  for (const candidate of candidates) {
+    if ((cover ? 1 : 0) + gallery.length >= MAX_PHOTOS) {
+      console.log(`   ⏹️  ${MAX_PHOTOS} photos reached`);
+      break;
+    }
+
+    let input;
+    let hash;
+    let pixels;
+    try {
+      input = await candidate.load();
+      hash = await differenceHash(input);
+      pixels = await pixelCount(input);
+    } catch (error) {
+      console.warn(`   ⚠️  ${candidate.origin}: ${error.message}`);
+      continue;
+    }
+
+    const describe = (role, index) => ({
+      alt: candidate.alt || draftAlt({ title: frontmatter.title, neighborhood, role, index, hint: candidate.hint }),
+      source: candidate.source,
+    });
+
+    // Of two near-identical new photos the larger one is kept, in the slot the
+    // first one took; photos already in the bundle are never replaced
+    const twin = seen.find((other) => hammingDistance(other.hash, hash) <= NEAR_DUPLICATE_BITS);
+    if (twin) {
+      if (!twin.pending || pixels <= twin.pixels) {
+        console.log(`   ⏭️  ${candidate.origin}: near-identical to ${twin.origin}`);
+        continue;
+      }
+      const { pending } = twin;
+      pending.output = pending.role === 'cover' ? await coverImage(input) : await galleryImage(input);
+      const { alt, source } = describe(pending.role, pending.index);
+      pending.entry.alt = alt;
+      if (source) pending.entry.source = source;
+      else delete pending.entry.source;
+      console.log(`   🔁 ${candidate.origin} -> ${pending.entry.image} (larger than ${twin.origin})`);
+      Object.assign(twin, { origin: candidate.origin, hash, pixels });
+      continue;
+    }
+
+    const role = cover ? 'gallery' : 'cover';
+    const index = gallery.length;
+    const dir = role === 'cover' ? 'coverImage' : `gallery/${index}`;
+    const ext = role === 'cover' ? '.jpg' : '.webp';
+    const image = freeImagePath(slug, dir, ext);
+
+    const { alt, source } = describe(role, index);
+    const entry = { image, alt, ...(source && { source }) };
+    const pending = { role, index, entry, output: role === 'cover' ? await coverImage(input) : await galleryImage(input) };
+    writes.push(pending);
+
+    if (role === 'cover') cover = entry;
+    else gallery.push(entry);
+    seen.push({ origin: candidate.origin, hash, pixels, pending });
+    console.log(`   ✅ ${candidate.origin} -> ${image}`);
+  }
+
+  // Flag every alt text the curator still has to write, and missing credits
+  for (const { role, index, entry } of writes) {
+    const field = role === 'cover' ? 'coverImage' : `gallery.${index}`;
+    if (!candidates.some((candidate) => candidate.alt === entry.alt)) drafts.push(`${slug} ${field}`);
+    if (!entry.source) console.log(`   ℹ️  ${field} has no source`);
+  }
+
+  if (writes.length === 0) return { added: 0, drafts: [] };
+  if (!write) return { added: writes.length, drafts };
+
+  for (const { entry: { image }, output } of writes) {
+    const filePath = join(bundleDir(slug), image);
+    mkdirSync(dirname(filePath), { recursive: true });
+    writeFileSync(filePath, output);
+  }
+  updateBundle(slug, inFieldOrder({
+    ...frontmatter,
+    ...(cover && { coverImage: cover }),
+    ...(gallery.length > 0 && { gallery }),
+  }), body);
+
+  return { added: writes.length, drafts };
+}
+
+// Usage: npm run photos                        -> dry run over bundles without a cover or with photos waiting
+//        npm run photos -- <slug> [<slug>...]  -> only these bundles
+//        npm run photos -- --write             -> write images and frontmatter
+//        npm run photos -- --no-places         -> drop folder only, never Google Places
+// Photos come from photos/<slug>/ (see lib/photos.js), else from the Places
+// photo references in the seeder's recordings. Every image is re-encoded without
+// EXIF/GPS; the first becomes the 3:2 cover when the bundle has none.
+async function main() {
+  const args = process.argv.slice(2);
+  const write = args.includes('--write');
+  const places = !args.includes('--no-places');
+  const slugs = args.filter((arg) => !arg.startsWith('--'));
+
+  const missing = slugs.filter((slug) => !bundleExists(slug));
+  if (missing.length > 0) {
+    console.error(`❌ No bundle: ${missing.join(', ')}`);
+    process.exit(1);
+  }
+
+  const targets = slugs.length > 0 ? slugs : defaultTargets();
+  console.log(`🖼️  Photo ingestion ${write ? '' : '(dry run) '}for ${targets.length} bundle(s)`);
+
+  let added = 0;
+  const drafts = [];
+  for (const slug of targets) {
+    const result = await ingest(slug, { write, places });
+    added += result.added;
+    drafts.push(...result.drafts);
+  }
+
+  console.log(`\n🎉 ${write ? 'Added' : 'Would add'} ${added} photo(s)`);
+  if (drafts.length > 0) {
+    console.log(`✏️  ${drafts.length} alt text(s) are drafts from the name and neighborhood; describe what each photo shows in Keystatic:`);
+    drafts.forEach((draft) => console.log(`   - ${draft}`));
+  }
+  if (!write && added > 0) console.log('\n💡 Run with --write to apply');
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,27 @@
+import { listCheckpoints } from '../lib/jobs.js';
+
+// Usage: npm run jobs  -> state of every checkpointed seed/refine run in jobs/
+// A finished run is replaced by the next one; an unfinished one is resumed by
+// running its command again with the same arguments (listed below).
+function main() {
+  const checkpoints = listCheckpoints();
+  if (checkpoints.length === 0) {
+    console.log('📭 No job checkpoints');
+    return;
+  }
+
+  for (const { job, params, startedAt, updatedAt, finishedAt, usage, tasks } of checkpoints) {
+    const done = tasks.filter((task) => task.status === 'done').length;
+    const failed = tasks.filter((task) => task.status === 'failed');
+    const pending = tasks.length - done - failed.length;
+
+    console.log(`${finishedAt ? '✅' : '⏸️ '} ${job} ${JSON.stringify(params)}`);
+    console.log(`   started ${startedAt}, ${finishedAt ? `finished ${finishedAt}` : `last checkpoint ${updatedAt}`}`);
+    console.log(`   ${done} done, ${pending} pending, ${failed.length} failed of ${tasks.length} task(s)`);
+    console.log(`   ${usage.requests} LLM request(s), ~${usage.tokens} tokens, ${usage.retries} retried`);
+    failed.forEach((task) => console.log(`   ❌ ${task.id} (${task.attempts} attempt(s)): ${task.error}`));
+    console.log('');
+  }
+}
+
+main();
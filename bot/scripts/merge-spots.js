@@ -0,0 +1,215 @@
+import { copyFileSync, existsSync, mkdirSync, readFileSync, rmSync, writeFileSync, renameSync } from 'fs';
+import { createHash } from 'crypto';
+import { dirname, extname, join, relative } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  SPOTS_DIR, bundleDir, bundleExists, readBundle, readTranslation, updateBundle, translationPath, inFieldOrder, freeImagePath, day,
+} from '../lib/spots.js';
+import { loadProcessedSpots, saveProcessedSpots } from '../lib/processed.js';
+import { loadRefinedSpots, saveRefinedSpots } from '../lib/refined.js';
+import { spotCandidates } from '../lib/duplicates.js';
+import { recordMerge } from '../lib/revisions.js';
+import { compareCandidates } from '../../src/lib/duplicates.js';
+import { DEFAULT_LOCALE, LOCALES, localizePath } from '../../src/lib/i18n.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const VERCEL_CONFIG = join(__dirname, '../../vercel.json');
+const OBSERVATIONS_DIR = join(__dirname, '../../src/content/observations');
+
+// Frontmatter the kept bundle inherits from the retired one when it has none
+const FILL_FIELDS = ['address', 'maps_url', 'chain', 'hours', 'laptop_policy', 'wifi_time_limit'];
+
+const fileHash = (path) => createHash('sha256').update(readFileSync(path)).digest('hex');
+
+// Cover first, then the gallery, with the file each entry points at
+function photos(slug, frontmatter) {
+  return [frontmatter.coverImage, ...(frontmatter.gallery || [])]
+    .filter((photo) => photo?.image)
+    .map((photo) => ({ ...photo, file: join(bundleDir(slug), photo.image) }));
+}
+
+/**
+ * Everything a merge changes, worked out before anything is written.
+ */
+function planMerge(keep, retire, reviewFrom) {
+  const kept = readBundle(keep);
+  const retired = readBundle(retire);
+  const review = reviewFrom === retire ? retired : kept;
+
+  // Photos: the kept bundle's own first, then the retired bundle's that are
+  // not byte-for-byte copies of one it already has
+  const keptPhotos = photos(keep, kept.frontmatter);
+  const seen = new Set(keptPhotos.filter((photo) => existsSync(photo.file)).map((photo) => fileHash(photo.file)));
+  const incoming = photos(retire, retired.frontmatter).filter((photo) => {
+    if (!existsSync(photo.file)) return false;
+    const hash = fileHash(photo.file);
+    if (seen.has(hash)) return false;
+    seen.add(hash);
+    return true;
+  });
+
+  const copies = [];
+  const adopt = ({ file, image, ...photo }, dir) => {
+    const target = freeImagePath(keep, dir, extname(file));
+    copies.push({ from: file, to: join(bundleDir(keep), target) });
+    return { image: target, ...photo };
+  };
+
+  let coverImage = kept.frontmatter.coverImage?.image ? kept.frontmatter.coverImage : undefined;
+  const queue = [...incoming];
+  if (!coverImage && queue.length > 0) coverImage = adopt(queue.shift(), 'coverImage');
+  const gallery = [...(kept.frontmatter.gallery || [])];
+  for (const photo of queue) {
+    gallery.push(adopt(photo, `gallery/${gallery.length}`));
+  }
+
+  const fills = Object.fromEntries(FILL_FIELDS
+    .filter((field) => kept.frontmatter[field] === undefined && retired.frontmatter[field] !== undefined)
+    .map((field) => [field, retired.frontmatter[field]]));
+
+  const published = [day(kept.frontmatter.published_at), day(retired.frontmatter.published_at)].filter(Boolean).sort()[0];
+
+  // The review's metrics describe the review; the kept bundle's location stays
+  const frontmatter = {
+    ...kept.frontmatter,
+    ...fills,
+    author: review.frontmatter.author,
+    ...(published && { published_at: published }),
+    updated_at: new Date().toISOString().slice(0, 10),
+    ...(coverImage && { coverImage }),
+    ...(gallery.length > 0 && { gallery }),
+    metrics: { ...review.frontmatter.metrics, coordinates: kept.frontmatter.metrics?.coordinates ?? retired.frontmatter.metrics?.coordinates },
+  };
+  delete frontmatter.slug;
+  if (!frontmatter.author) delete frontmatter.author;
+
+  // Translations follow the review: a retired review brings its own and makes
+  // the kept bundle's (of the other review) stale
+  const translations = LOCALES.filter((locale) => locale !== DEFAULT_LOCALE).map((locale) => {
+    if (reviewFrom !== retire) return { locale, action: 'keep' };
+    if (readTranslation(retire, locale)) return { locale, action: 'move' };
+    return { locale, action: readTranslation(keep, locale) ? 'drop' : 'keep' };
+  });
+
+  const redirects = LOCALES.map((locale) => ({
+    source: `${localizePath(`/spots/${retire}/`, locale)}:path*`,
+    destination: localizePath(`/spots/${keep}/`, locale),
+    permanent: true,
+  }));
+
+  return { kept, retired, review, frontmatter: inFieldOrder(frontmatter), body: review.body, copies, fills, translations, redirects };
+}
+
+function mergeObservations(keep, retire) {
+  const retiredFile = join(OBSERVATIONS_DIR, `${retire}.json`);
+  if (!existsSync(retiredFile)) return 0;
+  const keptFile = join(OBSERVATIONS_DIR, `${keep}.json`);
+  const kept = existsSync(keptFile) ? JSON.parse(readFileSync(keptFile, 'utf-8')).reports : [];
+  const moved = JSON.parse(readFileSync(retiredFile, 'utf-8')).reports;
+  const reports = [...kept, ...moved].sort((a, b) => a.observedAt.localeCompare(b.observedAt));
+  writeFileSync(keptFile, `${JSON.stringify({ reports }, null, 2)}\n`, 'utf-8');
+  rmSync(retiredFile);
+  return moved.length;
+}
+
+// Permanent redirects from the retired URLs; earlier redirects that pointed at
+// the retired page now go straight to the kept one
+function addRedirects(redirects, retire, keep) {
+  const config = JSON.parse(readFileSync(VERCEL_CONFIG, 'utf-8'));
+  const existing = (config.redirects || []).map((redirect) => ({
+    ...redirect,
+    destination: LOCALES.reduce(
+      (destination, locale) => destination === localizePath(`/spots/${retire}/`, locale) ? localizePath(`/spots/${keep}/`, locale) : destination,
+      redirect.destination,
+    ),
+  }));
+  const sources = new Set(redirects.map((redirect) => redirect.source));
+  const { rewrites, headers, ...rest } = config;
+  // Keep redirects next to rewrites, before the long headers list
+  const updated = { rewrites, redirects: [...existing.filter((redirect) => !sources.has(redirect.source)), ...redirects], headers, ...rest };
+  writeFileSync(VERCEL_CONFIG, `${JSON.stringify(updated, null, 2)}\n`, 'utf-8');
+}
+
+function renameSlug(entries, retire, keep) {
+  return entries.map((entry) => (entry.slug === retire ? { ...entry, slug: keep } : entry));
+}
+
+// Usage: npm run merge -- <keep> <retire>                   -> dry run: show what would change
+//        npm run merge -- <keep> <retire> --review=<slug>   -> take the review (body, author, metrics) from <slug>
+//        npm run merge -- <keep> <retire> --write           -> merge, delete <retire>, redirect its URLs
+// Refuses spots that look like separate branches of a chain unless --force is given.
+function main() {
+  const args = process.argv.slice(2);
+  const [keep, retire] = args.filter((arg) => !arg.startsWith('--'));
+  const write = args.includes('--write');
+  const force = args.includes('--force');
+  const reviewFrom = args.find((arg) => arg.startsWith('--review='))?.split('=')[1] || keep;
+
+  if (!keep || !retire || keep === retire) {
+    console.error('Usage: npm run merge -- <keep> <retire> [--review=<keep|retire>] [--write] [--force]');
+    process.exit(1);
+  }
+  for (const slug of [keep, retire]) {
+    if (!bundleExists(slug)) {
+      console.error(`❌ No bundle: ${slug}`);
+      process.exit(1);
+    }
+  }
+  if (reviewFrom !== keep && reviewFrom !== retire) {
+    console.error(`❌ --review must be ${keep} or ${retire}`);
+    process.exit(1);
+  }
+
+  const candidates = new Map(spotCandidates().map((candidate) => [candidate.slug, candidate]));
+  const match = compareCandidates(candidates.get(keep), candidates.get(retire));
+  if (match?.kind !== 'same-place' && match?.kind !== 'likely-duplicate' && !force) {
+    const why = match?.kind === 'branch' ? `they look like two branches (${match.reason}); set the same chain instead` : 'they do not look like the same place';
+    console.error(`❌ Not merging ${retire} into ${keep}: ${why}. Pass --force to merge anyway.`);
+    process.exit(1);
+  }
+
+  const plan = planMerge(keep, retire, reviewFrom);
+
+  console.log(`🔀 Merge ${retire} into ${keep}${write ? '' : ' (dry run)'}\n`);
+  console.log(`   📝 Review: ${reviewFrom} (${plan.review.frontmatter.author || 'no author'})`);
+  console.log(`   🖼️  Photos: ${plan.copies.length} copied from ${retire}`);
+  plan.copies.forEach((copy) => console.log(`      ${relative(SPOTS_DIR, copy.from)} -> ${relative(SPOTS_DIR, copy.to)}`));
+  if (Object.keys(plan.fills).length > 0) console.log(`   ➕ From ${retire}: ${Object.keys(plan.fills).join(', ')}`);
+  plan.translations.filter(({ action }) => action !== 'keep').forEach(({ locale, action }) => {
+    console.log(`   🌐 ${locale}: ${action === 'move' ? `translation moved from ${retire}` : `translation of the other review removed`}`);
+  });
+  console.log(`   📜 Review history of ${retire} folded into ${keep}'s (npm run revisions -- ${keep})`);
+  plan.redirects.forEach((redirect) => console.log(`   ↪️  ${redirect.source} -> ${redirect.destination}`));
+
+  if (!write) {
+    console.log('\n💡 Run with --write to apply');
+    return;
+  }
+
+  for (const { from, to } of plan.copies) {
+    mkdirSync(dirname(to), { recursive: true });
+    copyFileSync(from, to);
+  }
+  // Both review histories end up in the kept spot's archive
+  recordMerge(keep, retire, plan, {
+    author: plan.frontmatter.author,
+    ...(reviewFrom === retire && { origin: retire }),
+    body: plan.body,
+  });
+  updateBundle(keep, plan.frontmatter, plan.body);
+  for (const { locale, action } of plan.translations) {
+    if (action === 'move') renameSync(translationPath(retire, locale), translationPath(keep, locale));
+    if (action === 'drop') rmSync(translationPath(keep, locale));
+  }
+  const observations = mergeObservations(keep, retire);
+  rmSync(bundleDir(retire), { recursive: true });
+
+  addRedirects(plan.redirects, retire, keep);
+  saveProcessedSpots(renameSlug(loadProcessedSpots(), retire, keep));
+  saveRefinedSpots(renameSlug(loadRefinedSpots(), retire, keep));
+
+  console.log(`\n✅ Merged into ${keep}/index.mdx${observations > 0 ? `, ${observations} visitor report(s) moved` : ''}; ${retire} deleted`);
+  console.log('   Check the result with `npm run lint:content` in the repository root');
+}
+
+main();
@@ -0,0 +1,68 @@
+import { createServer } from 'http';
+import { loadRecordings, applyFieldMask, RECORDINGS_DIR } from '../lib/places.js';
+
+// Local stand-in for places.googleapis.com that serves responses captured with
+// `npm run seed -- --record`. Point the seeder at it with
+//   PLACES_BASE_URL=http://localhost:8787 npm run seed -- "<recorded query>"
+const PORT = Number(process.env.PLACES_STANDIN_PORT) || 8787;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+const server = createServer(async (req, res) => {
+  if (req.method === 'GET' && req.url === '/') {
+    // Index of what can be replayed
+    const recordings = loadRecordings().map(({ query, recordedAt, response }) => ({
+      query,
+      recordedAt,
+      places: response.places?.length || 0,
+    }));
+    return sendJson(res, 200, { recordings });
+  }
+
+  if (req.method !== 'POST' || req.url !== '/v1/places:searchText') {
+    return sendJson(res, 404, { error: { code: 404, message: `No route for ${req.method} ${req.url}`, status: 'NOT_FOUND' } });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch {
+    return sendJson(res, 400, { error: { code: 400, message: 'Invalid JSON payload', status: 'INVALID_ARGUMENT' } });
+  }
+
+  const fieldMask = req.headers['x-goog-fieldmask'];
+  if (!fieldMask) {
+    return sendJson(res, 400, { error: { code: 400, message: 'FieldMask is a required parameter', status: 'INVALID_ARGUMENT' } });
+  }
+
+  const recording = loadRecordings().find((r) => r.query === body.textQuery);
+  if (!recording) {
+    console.log(`❓ ${body.textQuery} (no recording)`);
+    return sendJson(res, 404, { error: { code: 404, message: `No recording for textQuery "${body.textQuery}"`, status: 'NOT_FOUND' } });
+  }
+
+  const masked = applyFieldMask(recording.response, fieldMask);
+  if (body.maxResultCount && masked.places) {
+    masked.places = masked.places.slice(0, body.maxResultCount);
+  }
+
+  console.log(`📍 ${body.textQuery} → ${masked.places?.length || 0} places`);
+  sendJson(res, 200, masked);
+});
+
+server.listen(PORT, () => {
+  console.log(`🗺️  Places stand-in listening on http://localhost:${PORT}`);
+  console.log(`   Serving recordings from ${RECORDINGS_DIR}`);
+});
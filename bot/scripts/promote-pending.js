@@ -0,0 +1,87 @@
+import { renameSync } from 'fs';
+import {
+  PENDING_DIR, BUNDLE_ENTRY, listBundles, readBundle, bundleDir, bundleExists, updateBundle, slugify,
+} from '../lib/spots.js';
+import { loadProcessedSpots, saveProcessedSpots } from '../lib/processed.js';
+import { metricsSchema } from '../../src/lib/spot-schema.js';
+import { NEIGHBORHOOD_SLUGS, neighborhoodName } from '../../src/lib/neighborhoods.js';
+import { z } from 'zod';
+
+// What a reader submission must have before it can be published. The draft
+// only carries wifi/noise/plugs; the curator fills in the rest in Keystatic
+// ("Pending Submissions") or by editing src/content/pending/<slug>/index.mdx.
+const promotableSchema = z.object({
+  title: z.string().trim().min(1).refine((title) => title !== 'Untitled submission', 'set the venue name'),
+  maps_url: z.string().url(),
+  neighborhood: z.enum(NEIGHBORHOOD_SLUGS),
+  metrics: metricsSchema,
+});
+
+function check(slug) {
+  const { frontmatter, body } = readBundle(slug, PENDING_DIR);
+  const result = promotableSchema.safeParse(frontmatter);
+  const errors = result.success
+    ? []
+    : result.error.issues.map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+  return { frontmatter, body, errors };
+}
+
+// Usage: npm run promote            -> list drafts and what each is missing
+//        npm run promote -- <slug>  -> move a complete draft into src/content/spots
+function main() {
+  const slug = process.argv[2];
+
+  if (!slug) {
+    const drafts = listBundles(PENDING_DIR);
+    console.log(`📥 ${drafts.length} pending submission(s) in ${PENDING_DIR}\n`);
+    drafts.forEach((draft) => {
+      const { frontmatter, errors } = check(draft);
+      console.log(`${errors.length === 0 ? '✅' : '🚧'} ${draft} (${frontmatter.title})`);
+      errors.forEach((error) => console.log(`   - ${error}`));
+    });
+    return;
+  }
+
+  if (!bundleExists(slug, PENDING_DIR)) {
+    console.error(`❌ No pending submission: ${slug}/${BUNDLE_ENTRY}`);
+    process.exit(1);
+  }
+
+  const { frontmatter, body, errors } = check(slug);
+  if (errors.length > 0) {
+    console.error(`🚧 ${slug} is not ready to publish:`);
+    errors.forEach((error) => console.error(`   - ${error}`));
+    process.exit(1);
+  }
+
+  // Same naming as the seeder: <neighborhood>-<venue>
+  const target = `${frontmatter.neighborhood}-${slugify(frontmatter.title)}`;
+  if (bundleExists(target)) {
+    console.error(`❌ A spot already exists at ${target}/${BUNDLE_ENTRY}; rename the draft title or merge by hand.`);
+    process.exit(1);
+  }
+
+  // Move the whole directory so images uploaded in Keystatic come along,
+  // then rewrite the frontmatter without the draft-only fields, dated today
+  renameSync(bundleDir(slug, PENDING_DIR), bundleDir(target));
+  const { slug: _draftSlug, submission, ...spot } = frontmatter;
+  updateBundle(target, { ...spot, published_at: new Date().toISOString().slice(0, 10) }, body);
+
+  const processedSpots = loadProcessedSpots();
+  processedSpots.push({
+    uri: frontmatter.maps_url,
+    name: frontmatter.title,
+    neighborhood: frontmatter.neighborhood,
+    slug: target,
+    source: 'submission',
+    processedAt: new Date().toISOString(),
+  });
+  saveProcessedSpots(processedSpots);
+
+  console.log(`✅ Promoted ${slug} → ${target}/${BUNDLE_ENTRY} (${neighborhoodName(frontmatter.neighborhood)})`);
+  if (submission) {
+    console.log(`   Reader said: power ${submission.power}, coffee ${submission.coffee}`);
+  }
+}
+
+main();
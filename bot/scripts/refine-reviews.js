@@ -1,63 +1,16 @@
 import 'dotenv/config';
-import Groq from 'groq-sdk';
-import { readFileSync, writeFileSync, readdirSync, existsSync } from 'fs';
-import { dirname, join } from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const SPOTS_DIR = join(__dirname, '../../src/content/spots');
-const REFINED_FILE = join(__dirname, '../refined-spots.json');
-
-// Initialize Groq client
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
-
-// Rate limit: 1 request per minute
-const RATE_LIMIT_MS = 600 * 1000;
-
-// Load refined spots list (for deduplication)
-function loadRefinedSpots() {
-  if (existsSync(REFINED_FILE)) {
-    try {
-      return JSON.parse(readFileSync(REFINED_FILE, 'utf-8'));
-    } catch {
-      return [];
-    }
-  }
-  return [];
-}
+import { SPOTS_DIR, BUNDLE_ENTRY, listBundles, readBundle, updateBundle, bundleExists } from '../lib/spots.js';
+import { createProvider } from '../lib/llm/index.js';
+import { withBudget } from '../lib/budget.js';
+import { jobOptions, runJob } from '../lib/jobs.js';
+import { loadRefinedSpots, saveRefinedSpots } from '../lib/refined.js';
+import { recordRevision } from '../lib/revisions.js';
+import { requestHash } from '../lib/llm/fixture.js';
 
-// Save refined spots list
-function saveRefinedSpots(spots) {
-  writeFileSync(REFINED_FILE, JSON.stringify(spots, null, 2), 'utf-8');
-}
+const options = jobOptions(process.argv.slice(2));
 
-// Parse MDX file into frontmatter and content
-function parseMdx(content) {
-  const match = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
-  if (!match) {
-    throw new Error('Invalid MDX format - no frontmatter found');
-  }
-  return {
-    frontmatter: match[1],
-    body: match[2].trim(),
-  };
-}
-
-// Reconstruct MDX file
-// Reconstruct MDX file
-function buildMdx(frontmatter, body, author) {
-  // If author is passed, ensure it's in the frontmatter
-  let newFrontmatter = frontmatter;
-  if (author) {
-    if (newFrontmatter.includes('author:')) {
-      newFrontmatter = newFrontmatter.replace(/author:\s*"[^"]*"/, `author: "${author}"`);
-    } else {
-      // Add author after title
-      newFrontmatter = newFrontmatter.replace(/(title:\s*"[^"]*")/, `$1\nauthor: "${author}"`);
-    }
-  }
-  return `---\n${newFrontmatter}\n---\n\n${body}\n`;
-}
+// Initialize LLM provider (LLM_PROVIDER=groq|openai|fixture), paced by lib/budget.js
+const llm = withBudget(createProvider(), options.budget);
 
 const AUTHORS = [
   'murad',
@@ -115,132 +68,120 @@ ${currentReview}
 
 Respond with ONLY the markdown content (starting with ## heading). No intro, no "Here's the review".`;
 
-  const completion = await groq.chat.completions.create({
-    model: 'llama-3.3-70b-versatile',
+  const request = {
     messages: [{ role: 'user', content: prompt }],
     temperature: 0.85,
-    max_tokens: 1500,
-  });
+    maxTokens: 1500,
+  };
+  const content = await llm.complete(request);
 
-  const refined = completion.choices[0]?.message?.content?.trim() || '';
+  const refined = content.trim();
   
   // Ensure it starts with a heading
-  if (!refined.startsWith('##')) {
-    return `## The Vibe\n\n${refined}`;
-  }
-  
-  return refined;
+  const body = refined.startsWith('##') ? refined : `## The Vibe\n\n${refined}`;
+
+  // The request is returned so its hash can be archived with the new text
+  return { body, request };
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// One task per bundle: rewrite the body, archive the revision, mark it refined
+async function refine({ slug, track }, ctx) {
+  // Read and parse bundle
+  const { frontmatter, body } = readBundle(slug);
+
+  const spotName = frontmatter.title || slug;
+  const neighborhood = frontmatter.neighborhood || 'Madrid';
+
+  const position = ctx.tasks.findIndex((task) => task.id === slug) + 1;
+  console.log(`\n☕ [${position}/${ctx.tasks.length}] Refining: ${slug}`);
+  console.log(`   📍 ${spotName} in ${neighborhood}`);
+
+  // Select author
+  const author = selectRandomAuthor();
+  console.log(`   ✍️  Author: ${author}`);
+
+  console.log(`   🤖 Sending to ${llm.name} for refinement...`);
+
+  // Refine the review
+  const { body: refinedBody, request } = await refineReview(spotName, neighborhood, body);
+
+  // Archive the text being replaced and the new one (src/content/revisions/<slug>.json)
+  const revision = ctx.write(`archive the rewrite of ${slug} in src/content/revisions/${slug}.json`, () => recordRevision(slug, { frontmatter, body }, {
+    kind: 'refine',
+    author,
+    model: `${llm.name}/${llm.model}`,
+    promptHash: requestHash(request),
+    body: refinedBody,
+  }));
+
+  // Rebuild and save; everything except author, body and updated_at round-trips untouched
+  ctx.write(`rewrite ${slug}/${BUNDLE_ENTRY} (${refinedBody.split(/\s+/).length} words, author ${author})`, () => {
+    updateBundle(slug, { ...frontmatter, author, updated_at: new Date().toISOString().slice(0, 10) }, refinedBody);
+  });
+
+  // Mark as refined (skip for single bundle mode)
+  if (track) {
+    ctx.write(`mark ${slug} refined in refined-spots.json`, () => {
+      saveRefinedSpots([...loadRefinedSpots(), { slug, spotName, refinedAt: new Date().toISOString() }]);
+    });
+  }
+
+  if (!ctx.dryRun) console.log(`   ✅ Refined and saved (revision ${revision}, see \`npm run revisions -- ${slug}\`)`);
+  return { author, revision };
 }
 
+// Usage: npm run refine                        -> refine every bundle not in refined-spots.json
+//        npm run refine -- <slug>              -> refine one bundle, refined or not
+//        npm run refine -- --dry-run           -> call the LLM but only print what would be written
+// Runs as a job (lib/jobs.js): an interrupted run resumes when started again
+// with the same arguments (--fresh starts over), --max-requests=N and
+// --max-tokens=N cap the LLM budget, and requests are paced to the provider's
+// rate limits (lib/budget.js, LLM_RPM/LLM_TPM to override).
 async function main() {
   console.log('📝 Review Refiner - Making reviews sound human\n');
 
-  // Check for single file argument
-  const singleFile = process.argv[2];
+  // Check for single bundle argument (slug, "slug/" or "slug/index.mdx")
+  const singleSlug = process.argv.slice(2).find((arg) => !arg.startsWith('--'))?.replace(/\/(index\.mdx)?$/, '');
   
-  let filesToProcess;
-  
-  if (singleFile) {
-    // Single file mode - skip deduplication check
-    const filename = singleFile.endsWith('.mdx') ? singleFile : `${singleFile}.mdx`;
-    const filePath = join(SPOTS_DIR, filename);
-    
-    if (!existsSync(filePath)) {
-      console.error(`❌ File not found: ${filename}`);
-      console.log(`   Available files in ${SPOTS_DIR}`);
-      process.exit(1);
-    }
-    
-    console.log(`🎯 Single file mode: ${filename}\n`);
-    filesToProcess = [filename];
-  } else {
-    // Get all MDX files
-    const files = readdirSync(SPOTS_DIR)
-      .filter(f => f.endsWith('.mdx'))
-      .filter(f => f !== 'example-spot.mdx');
-
-    console.log(`📂 Found ${files.length} spot files`);
-
-    // Load already refined spots
-    const refinedSpots = loadRefinedSpots();
-    const refinedSet = new Set(refinedSpots.map(s => s.filename));
-
-    filesToProcess = files.filter(f => !refinedSet.has(f));
-    console.log(`🔄 ${filesToProcess.length} files need refining, ${files.length - filesToProcess.length} already done\n`);
-  }
-
-  if (filesToProcess.length === 0) {
-    console.log('✅ All files already refined!');
-    return;
+  if (singleSlug && !bundleExists(singleSlug)) {
+    console.error(`❌ Bundle not found: ${singleSlug}/${BUNDLE_ENTRY}`);
+    console.log(`   Available bundles in ${SPOTS_DIR}`);
+    process.exit(1);
   }
 
-  // Load refined spots for tracking (even in single file mode)
-  const refinedSpots = singleFile ? [] : loadRefinedSpots();
-  
-  let processed = 0;
-
-  for (const filename of filesToProcess) {
-    const filePath = join(SPOTS_DIR, filename);
-    
-    try {
-      console.log(`\n☕ [${processed + 1}/${filesToProcess.length}] Refining: ${filename}`);
-      
-      // Read and parse file
-      const content = readFileSync(filePath, 'utf-8');
-      const { frontmatter, body } = parseMdx(content);
-      
-      // Extract spot name and neighborhood from frontmatter
-      const titleMatch = frontmatter.match(/title:\s*"([^"]+)"/);
-      const neighborhoodMatch = frontmatter.match(/neighborhood:\s*"([^"]+)"/);
-      
-      const spotName = titleMatch ? titleMatch[1] : filename.replace('.mdx', '');
-      const neighborhood = neighborhoodMatch ? neighborhoodMatch[1] : 'Madrid';
-      
-      console.log(`   📍 ${spotName} in ${neighborhood}`);
-      
-      // Select author
-      const author = selectRandomAuthor();
-      console.log(`   ✍️  Author: ${author}`);
-
-      console.log('   🤖 Sending to Groq for refinement...');
-      
-      // Refine the review
-      const refinedBody = await refineReview(spotName, neighborhood, body);
-      
-      // Rebuild and save
-      const newContent = buildMdx(frontmatter, refinedBody, author);
-      writeFileSync(filePath, newContent, 'utf-8');
-      
-      console.log('   ✅ Refined and saved');
-      
-      // Mark as refined (skip for single file mode)
-      if (!singleFile) {
-        refinedSpots.push({
-          filename,
-          spotName,
-          refinedAt: new Date().toISOString(),
-        });
-        saveRefinedSpots(refinedSpots);
+  const job = {
+    name: 'refine',
+    params: { slug: singleSlug ?? null },
+    plan() {
+      if (singleSlug) {
+        // Single bundle mode - skip deduplication check
+        console.log(`🎯 Single bundle mode: ${singleSlug}\n`);
+        return [{ id: singleSlug, slug: singleSlug, track: false }];
       }
-      
-      processed++;
-      
-      // Rate limit: wait until 1 minute has passed (if more files to process)
-      if (processed < filesToProcess.length) {
-        console.log(`   ⏳ Waiting ${RATE_LIMIT_MS / 1000}s before next file (rate limit)...`);
-        await sleep(RATE_LIMIT_MS);
-      }
-      
-    } catch (err) {
-      console.error(`   ❌ Error processing ${filename}:`, err.message);
-    }
+
+      // Get all spot bundles, minus the ones already refined
+      const slugs = listBundles();
+      console.log(`📂 Found ${slugs.length} spot bundles`);
+      const refinedSet = new Set(loadRefinedSpots().map((s) => s.slug));
+      const todo = slugs.filter((slug) => !refinedSet.has(slug));
+      console.log(`🔄 ${todo.length} bundles need refining, ${slugs.length - todo.length} already done\n`);
+      return todo.map((slug) => ({ id: slug, slug, track: true }));
+    },
+    run: refine,
+  };
+
+  const { tasks, complete } = await runJob(job, { ...options, llm });
+
+  if (tasks.length === 0) {
+    console.log('✅ All bundles already refined!');
+    return;
   }
 
-  console.log(`\n🎉 Done! Refined ${processed} reviews.`);
+  const refined = tasks.filter((task) => task.status === 'done').length;
+  const { requests, tokens, retries } = llm.usage();
+  console.log(`\n🎉 Done! Refined ${refined} of ${tasks.length} reviews${options.dryRun ? ' (dry run, nothing written)' : ''}.`);
+  console.log(`📊 This run: ${requests} LLM request(s), ~${tokens} tokens, ${retries} retried`);
+  if (!complete) process.exitCode = 1;
 }
 
 main().catch((err) => {
@@ -0,0 +1,163 @@
+import { readdirSync, existsSync } from 'fs';
+import { bundleExists, readBundle, updateBundle } from '../lib/spots.js';
+import { REVISIONS_DIR, loadRevisions, recordRevision, diffLines } from '../lib/revisions.js';
+
+// Unchanged lines shown around each change in a diff
+const CONTEXT_LINES = 1;
+
+const words = (body) => body.split(/\s+/).filter(Boolean).length;
+
+function describe(revision, number) {
+  const details = [
+    revision.author,
+    revision.model,
+    revision.promptHash && `prompt ${revision.promptHash.slice(0, 12)}`,
+    revision.restoredFrom && `restores #${revision.restoredFrom}`,
+    revision.origin && `from ${revision.origin}`,
+    `${words(revision.body)} words`,
+  ].filter(Boolean);
+  return `#${number}  ${revision.revisedAt.slice(0, 16).replace('T', ' ')}  ${revision.kind.padEnd(8)}  ${details.join(', ')}`;
+}
+
+// Spots with a history, for the overview
+function archivedSlugs() {
+  if (!existsSync(REVISIONS_DIR)) return [];
+  return readdirSync(REVISIONS_DIR).filter((file) => file.endsWith('.json')).map((file) => file.replace(/\.json$/, '')).sort();
+}
+
+function list(slug) {
+  const revisions = loadRevisions(slug);
+  if (revisions.length === 0) {
+    console.log(`📭 ${slug}: no revisions archived yet (the first rewrite archives the current text)`);
+    return;
+  }
+  console.log(`📜 ${slug}: ${revisions.length} revision(s), oldest first\n`);
+  revisions.forEach((revision, index) => console.log(`   ${describe(revision, index + 1)}`));
+
+  if (bundleExists(slug) && readBundle(slug).body !== revisions.at(-1).body) {
+    console.log(`\n   ✏️  The bundle has been edited since #${revisions.length}; the edit is archived with the next rewrite`);
+  }
+}
+
+function printDiff(before, after) {
+  const lines = diffLines(before, after);
+  const near = (index) => lines
+    .slice(Math.max(0, index - CONTEXT_LINES), index + CONTEXT_LINES + 1)
+    .some((line) => line.op !== ' ');
+
+  let skipped = false;
+  lines.forEach((line, index) => {
+    if (line.op === ' ' && !near(index)) {
+      if (!skipped) console.log('   …');
+      skipped = true;
+      return;
+    }
+    skipped = false;
+    console.log(`${line.op}  ${line.line}`);
+  });
+}
+
+// "current" is the bundle as it is now, which may carry an edit not yet archived
+function resolve(slug, revisions, ref) {
+  if (ref === 'current') return { label: 'current', body: readBundle(slug).body };
+  const number = Number(ref);
+  if (!Number.isInteger(number) || number < 1 || number > revisions.length) {
+    throw new Error(`${slug} has revisions #1 to #${revisions.length}, not "${ref}"`);
+  }
+  return { label: `#${number}`, body: revisions[number - 1].body };
+}
+
+function diff(slug, refs) {
+  const revisions = loadRevisions(slug);
+  if (revisions.length === 0) throw new Error(`${slug} has no revisions archived`);
+  // One revision: what it changed; none: what the latest rewrite changed
+  const to = refs.length === 2 ? refs[1] : refs[0] ?? String(revisions.length);
+  const from = refs.length === 2 ? refs[0]
+    : to === 'current' ? String(revisions.length)
+    : String(Math.max(1, Number(to) - 1));
+  const before = resolve(slug, revisions, from);
+  const after = resolve(slug, revisions, to);
+
+  console.log(`🔍 ${slug}: ${before.label} -> ${after.label}\n`);
+  if (before.body === after.body) {
+    console.log('   Identical text');
+    return;
+  }
+  printDiff(before.body, after.body);
+}
+
+function restore(slug, ref, write) {
+  const revisions = loadRevisions(slug);
+  const number = Number(ref);
+  if (!Number.isInteger(number) || number < 1 || number > revisions.length) {
+    throw new Error(`Usage: npm run revisions -- ${slug} restore <1-${revisions.length || 1}> [--write]`);
+  }
+  const revision = revisions[number - 1];
+  const current = readBundle(slug);
+  if (current.body === revision.body) {
+    console.log(`✅ ${slug} already has the text of #${number}`);
+    return;
+  }
+
+  console.log(`⏪ Restore ${slug} to #${number}${write ? '' : ' (dry run)'}\n`);
+  printDiff(current.body, revision.body);
+  if (revision.author && revision.author !== current.frontmatter.author) {
+    console.log(`\n   ✍️  Author: ${current.frontmatter.author || 'none'} -> ${revision.author}`);
+  }
+
+  if (!write) {
+    console.log('\n💡 Run with --write to apply');
+    return;
+  }
+
+  // The byline goes back with the text it belongs to
+  const author = revision.author ?? current.frontmatter.author;
+  const restored = recordRevision(slug, current, { kind: 'restore', restoredFrom: number, author, origin: revision.origin, body: revision.body });
+  updateBundle(slug, { ...current.frontmatter, ...(author && { author }), updated_at: new Date().toISOString().slice(0, 10) }, revision.body);
+  console.log(`\n✅ Restored as #${restored}; translations of ${slug} are now marked stale`);
+}
+
+// Usage: npm run revisions                                  -> spots with an archived history
+//        npm run revisions -- <slug>                        -> list its revisions
+//        npm run revisions -- <slug> diff [<n>]             -> what revision <n> (default: the latest) changed
+//        npm run revisions -- <slug> diff <a> <b>           -> compare two revisions; "current" is the bundle as it is now
+//        npm run revisions -- <slug> restore <n> [--write]  -> put revision <n> back (dry run without --write)
+// Revisions are written by the refiner, merges and restores (lib/revisions.js).
+function main() {
+  const args = process.argv.slice(2);
+  const write = args.includes('--write');
+  const [slug, command = 'list', ...refs] = args.filter((arg) => !arg.startsWith('--'));
+
+  if (!slug) {
+    const slugs = archivedSlugs();
+    console.log(`📚 ${slugs.length} spot(s) with revision history\n`);
+    slugs.forEach((archived) => {
+      const revisions = loadRevisions(archived);
+      console.log(`   ${archived}: ${revisions.length} revision(s), last ${revisions.at(-1).kind} on ${revisions.at(-1).revisedAt.slice(0, 10)}`);
+    });
+    return;
+  }
+  if (!bundleExists(slug)) {
+    console.error(`❌ No bundle: ${slug}`);
+    process.exit(1);
+  }
+
+  switch (command) {
+    case 'list':
+      return list(slug);
+    case 'diff':
+      return diff(slug, refs);
+    case 'restore':
+      return restore(slug, refs[0], write);
+    default:
+      console.error(`❌ Unknown command "${command}" (expected list, diff or restore)`);
+      process.exit(1);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,50 @@
+import { listBundles, readBundle, BUNDLE_ENTRY } from '../lib/spots.js';
+import { computeCasiScore, MAX_ADJUSTMENT } from '../../src/lib/casi-score.js';
+
+// Migration report for the computed Casi Score: lists every bundle whose
+// hand-entered metrics.casi_score disagrees with the formula by more than the
+// tolerance (default 0.5, override with --tolerance=1). Read-only. Resolve a
+// disagreement by rating seating/tables, fixing a metric, or adding a
+// metrics.score_adjustment with a reason; the stored value is no longer published.
+function main() {
+  const toleranceArg = process.argv.find((arg) => arg.startsWith('--tolerance='));
+  const tolerance = toleranceArg ? Number(toleranceArg.split('=')[1]) : 0.5;
+
+  console.log(`🧮 Casi Score report (stored vs formula, tolerance ±${tolerance})\n`);
+
+  const disagreements = [];
+  let agreeing = 0;
+  let unscored = 0;
+
+  for (const slug of listBundles()) {
+    const { metrics } = readBundle(slug).frontmatter;
+    if (typeof metrics?.casi_score !== 'number') {
+      unscored++;
+      continue;
+    }
+
+    const { score } = computeCasiScore(metrics);
+    const delta = Math.round((metrics.casi_score - score) * 10) / 10;
+    if (Math.abs(delta) <= tolerance) {
+      agreeing++;
+      continue;
+    }
+
+    disagreements.push({ slug, stored: metrics.casi_score, score, delta });
+  }
+
+  disagreements
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+    .forEach(({ slug, stored, score, delta }) => {
+      const hint = Math.abs(delta) > MAX_ADJUSTMENT ? ' (beyond an editorial adjustment, re-check the metrics)' : '';
+      console.log(`   ${slug}/${BUNDLE_ENTRY}: stored ${stored}, formula ${score} (${delta > 0 ? '+' : ''}${delta})${hint}`);
+    });
+
+  console.log(`\n📋 ${disagreements.length} disagree, ${agreeing} within tolerance, ${unscored} without a stored score`);
+
+  if (disagreements.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -1,99 +1,66 @@
 import 'dotenv/config';
-import Groq from 'groq-sdk';
-import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
-import { dirname, join } from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const SPOTS_DIR = join(__dirname, '../../src/content/spots');
-const PROCESSED_FILE = join(__dirname, '../processed-spots.json');
-
-// Ensure spots directory exists
-mkdirSync(SPOTS_DIR, { recursive: true });
-
-// Initialize Groq client
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
-
-// Load processed spots list (for deduplication)
-function loadProcessedSpots() {
-  if (existsSync(PROCESSED_FILE)) {
-    try {
-      return JSON.parse(readFileSync(PROCESSED_FILE, 'utf-8'));
-    } catch {
-      return [];
-    }
-  }
-  return [];
-}
-
-// Save processed spots list
-function saveProcessedSpots(spots) {
-  writeFileSync(PROCESSED_FILE, JSON.stringify(spots, null, 2), 'utf-8');
-}
-
-function slugify(text) {
-  return text
-    .toLowerCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '') // Remove diacritics
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/(^-|-$)/g, '');
-}
-
-async function fetchPlaces(query) {
-  const apiKey = process.env.GOOGLE_PLACES_API_KEY;
-  if (!apiKey) throw new Error('GOOGLE_PLACES_API_KEY not set');
-
-  const response = await fetch('https://places.googleapis.com/v1/places:searchText', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Goog-Api-Key': apiKey,
-      'X-Goog-FieldMask': 'places.displayName,places.formattedAddress,places.rating,places.googleMapsUri,places.reviews,places.location,places.priceLevel',
-    },
-    body: JSON.stringify({
-      textQuery: query,
-      languageCode: 'en',
-      maxResultCount: 20,
-    }),
+import { bundleExists, writeBundle, slugify, BUNDLE_ENTRY } from '../lib/spots.js';
+import { fetchPlaces, placeHoursToSchedule } from '../lib/places.js';
+import { resolveNeighborhood } from '../lib/geo.js';
+import { NEIGHBORHOODS, findNeighborhood, neighborhoodName } from '../../src/lib/neighborhoods.js';
+import { createProvider } from '../lib/llm/index.js';
+import { withBudget, rethrowIfBudgetSpent } from '../lib/budget.js';
+import { jobOptions, runJob } from '../lib/jobs.js';
+import { completeStructured } from '../lib/structured.js';
+import { loadReviewQueue, saveReviewQueue, quarantine, release } from '../lib/review-queue.js';
+import { loadProcessedSpots, saveProcessedSpots } from '../lib/processed.js';
+import { spotCandidates } from '../lib/duplicates.js';
+import { metricsSchema, WIFI_SPEEDS, NOISE_LEVELS } from '../../src/lib/spot-schema.js';
+import { SEATING_LEVELS, TABLE_TYPES } from '../../src/lib/casi-score.js';
+import { mapsKey, cleanMapsUrl } from '../../src/lib/submissions.js';
+import { compareCandidates, candidateKeys } from '../../src/lib/duplicates.js';
+// Pinned to the site's version: metricsSchema above is built with the site's zod
+import { z } from 'zod';
+
+const options = jobOptions(process.argv.slice(2));
+
+// Initialize LLM provider (LLM_PROVIDER=groq|openai|fixture), paced by lib/budget.js
+const llm = withBudget(createProvider(), options.budget);
+
+// Searches per run: the first query plus LLM-suggested ones when it mostly finds known places
+const MAX_SEARCHES = 3;
+
+// Extra LLM attempts when synthesized output fails validation
+const SYNTHESIS_RETRIES = 2;
+
+// Metrics the LLM is trusted to judge, validated with the content collection's own rules
+const synthesisSchema = metricsSchema
+  .pick({ wifi_speed: true, noise_level: true, plug_access: true, seating: true, tables: true })
+  .extend({
+    review: z.string().trim().min(200, 'review must be at least 200 characters'),
   });
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Google Places API error: ${error}`);
-  }
-
-  const data = await response.json();
-  return data.places || [];
-}
-
-async function inferNeighborhoodWithGroq(placeName, address) {
+async function inferNeighborhood(placeName, address) {
   const prompt = `Given this Madrid cafe address, identify the neighborhood (barrio) name.
 
 Cafe: "${placeName}"
 Address: "${address}"
 
-Common Madrid neighborhoods include: Malasaña, Lavapiés, Chamberí, Salamanca, La Latina, Chueca, Huertas, Sol, Retiro, Moncloa, Argüelles, Conde Duque, Embajadores, Tribunal, and many others.
+Pick one of: ${Object.values(NEIGHBORHOODS).map((n) => n.name).join(', ')}.
 
 Respond with ONLY the neighborhood name in Spanish (e.g., "Malasaña", "Lavapiés", "Chamberí"). No explanation, just the name.`;
 
   try {
-    const completion = await groq.chat.completions.create({
-      model: 'llama-3.3-70b-versatile',
+    const content = await llm.complete({
       messages: [{ role: 'user', content: prompt }],
       temperature: 0.3,
-      max_tokens: 50,
+      maxTokens: 50,
     });
 
-    const neighborhood = completion.choices[0]?.message?.content?.trim() || 'Centro';
-    // Clean up any quotes or extra text
-    return neighborhood.replace(/["""]/g, '').split('\n')[0].trim();
-  } catch {
-    return 'Centro';
+    // Clean up any quotes or extra text, then map onto the registry (null if unknown)
+    return findNeighborhood(content.replace(/["""]/g, '').split('\n')[0].trim());
+  } catch (error) {
+    rethrowIfBudgetSpent(error);
+    return null;
   }
 }
 
-async function cleanCafeNameWithGroq(rawName) {
+async function cleanCafeName(rawName) {
   const prompt = `Clean up this cafe name by removing generic descriptors.
 
 Raw name: "${rawName}"
@@ -113,16 +80,16 @@ Keep the distinctive brand name only. Examples:
 Respond with ONLY the cleaned name, properly capitalized (Title Case). No explanation.`;
 
   try {
-    const completion = await groq.chat.completions.create({
-      model: 'llama-3.3-70b-versatile',
+    const content = await llm.complete({
       messages: [{ role: 'user', content: prompt }],
       temperature: 0.2,
-      max_tokens: 50,
+      maxTokens: 50,
     });
 
-    const cleaned = completion.choices[0]?.message?.content?.trim() || rawName;
+    const cleaned = content.trim() || rawName;
     return cleaned.replace(/["""]/g, '').split('\n')[0].trim();
-  } catch {
+  } catch (error) {
+    rethrowIfBudgetSpent(error);
     return rawName;
   }
 }
@@ -134,14 +101,9 @@ async function synthesizeReview(placeName, reviews, rating) {
     .filter(Boolean)
     .join('\n---\n');
 
+  // Nothing to ground the metrics in: quarantine rather than guess
   if (!reviewsText) {
-    return {
-      wifi_speed: 'reliable',
-      noise_level: 'hum',
-      plug_access: true,
-      casi_score: Math.round(rating || 7),
-      review: `## The Vibe\n\n${placeName} is a Madrid cafe that does the basics right. Expect decent coffee, reasonable seating, and the kind of atmosphere that won't distract you from your work.\n\n## The Verdict\n\nA solid choice for the discerning remote worker. Not flashy, but functional.`,
-    };
+    return { ok: false, reason: 'no-reviews', errors: ['Place has no review text to synthesize from'] };
   }
 
   const prompt = `You are analyzing Google reviews for a cafe called "${placeName}" in Madrid. The cafe has a ${rating}/5 rating.
@@ -150,37 +112,27 @@ Here are the reviews:
 ${reviewsText}
 
 Based on these reviews, provide a JSON response with:
-1. "wifi_speed": One of "flynet" (50mb+, fast), "reliable" (good enough), "spotty" (unreliable), "detox" (no wifi)
-2. "noise_level": One of "silence" (library quiet), "hum" (pleasant cafe buzz), "chaos" (loud/busy)
+1. "wifi_speed": One of ${WIFI_SPEEDS.map((w) => `"${w}"`).join(', ')} ("flynet" 50mb+ fast, "reliable" good enough, "spotty" unreliable, "detox" no wifi)
+2. "noise_level": One of ${NOISE_LEVELS.map((n) => `"${n}"`).join(', ')} ("silence" library quiet, "hum" pleasant cafe buzz, "chaos" loud/busy)
 3. "plug_access": true or false (are power outlets mentioned/available?)
-4. "casi_score": A number 1-10 based on how good this place is for laptop work
-5. "review": A 2-paragraph markdown review (with ## headings "The Vibe" and "The Verdict"). The tone should be analytical, slightly cynical but fair, dense with useful information. Focus on what remote workers need to know.
+4. "seating": One of ${SEATING_LEVELS.map((l) => `"${l}"`).join(', ')} (how easy it is to get a seat with a laptop), omit if the reviews don't say
+5. "tables": One of ${TABLE_TYPES.map((t) => `"${t}"`).join(', ')} (room for a laptop and a cup), omit if the reviews don't say
+6. "review": A 2-paragraph markdown review (with ## headings "The Vibe" and "The Verdict"). The tone should be analytical, slightly cynical but fair, dense with useful information. Focus on what remote workers need to know.
 
-Respond ONLY with valid JSON, no markdown code blocks.`;
+Respond ONLY with a JSON object.`;
 
-  const completion = await groq.chat.completions.create({
-    model: 'llama-3.3-70b-versatile',
+  const result = await completeStructured(llm, {
     messages: [{ role: 'user', content: prompt }],
     temperature: 0.7,
-    max_tokens: 1024,
-  });
+    maxTokens: 1024,
+  }, synthesisSchema, { retries: SYNTHESIS_RETRIES });
 
-  const content = completion.choices[0]?.message?.content || '';
-  
-  try {
-    // Try to parse JSON, handling potential markdown code blocks
-    const cleaned = content.replace(/```json\n?|\n?```/g, '').trim();
-    return JSON.parse(cleaned);
-  } catch {
-    console.warn(`Failed to parse Groq response for ${placeName}, using defaults`);
-    return {
-      wifi_speed: 'reliable',
-      noise_level: 'hum',
-      plug_access: true,
-      casi_score: Math.round(rating || 7),
-      review: `## The Vibe\n\n${placeName} is a Madrid cafe that does the basics right. Expect decent coffee, reasonable seating, and the kind of atmosphere that won't distract you from your work.\n\n## The Verdict\n\nA solid choice for the discerning remote worker. Not flashy, but functional.`,
-    };
+  if (!result.ok) {
+    console.warn(`   ⚠️  ${llm.name} output for ${placeName} failed validation after ${result.attempts} attempt(s)`);
+    return { ...result, reason: 'invalid-output' };
   }
+
+  return result;
 }
 
 function priceLevelToEuros(priceLevel) {
@@ -194,33 +146,45 @@ function priceLevelToEuros(priceLevel) {
   return mapping[priceLevel] || 2.5;
 }
 
+const spotTitle = (place, cleanName) => cleanName || place.displayName?.text || 'Unknown Cafe';
+
+// <neighborhood>-<venue>, as promote-pending.js names promoted submissions too
+const spotSlug = (neighborhood, title) => `${neighborhood}-${slugify(title)}`;
+
 function generateMdx(place, synthesis, neighborhood, cleanName) {
-  const title = cleanName || place.displayName?.text || 'Unknown Cafe';
-  const neighborhoodSlug = slugify(neighborhood);
-  const cafeSlug = slugify(title);
-  const slug = `${neighborhoodSlug}-${cafeSlug}`;
+  const title = spotTitle(place, cleanName);
+  const slug = spotSlug(neighborhood, title);
   const lat = place.location?.latitude || 40.416775;
   const long = place.location?.longitude || -3.70379;
   const coffeePrice = priceLevelToEuros(place.priceLevel);
-
-  const frontmatter = `---
-title: "${title}"
-author: "murad-madi"
-neighborhood: "${neighborhood}"
-metrics:
-  wifi_speed: "${synthesis.wifi_speed}"
-  noise_level: "${synthesis.noise_level}"
-  plug_access: ${synthesis.plug_access}
-  coffee_price: ${coffeePrice}
-  casi_score: ${synthesis.casi_score}
-  coordinates:
-    lat: ${lat}
-    long: ${long}
----`;
+  const hours = placeHoursToSchedule(place.regularOpeningHours);
+
+  // Field order mirrors keystatic.config.ts so Keystatic saves produce clean diffs
+  const frontmatter = {
+    title,
+    // Must be an entry in src/content/authors; the refiner picks the final author
+    author: 'murad',
+    ...(place.formattedAddress && { address: place.formattedAddress }),
+    ...(place.googleMapsUri && { maps_url: cleanMapsUrl(place.googleMapsUri) }),
+    neighborhood,
+    published_at: new Date().toISOString().slice(0, 10),
+    metrics: {
+      wifi_speed: synthesis.wifi_speed,
+      noise_level: synthesis.noise_level,
+      plug_access: synthesis.plug_access,
+      coffee_price: coffeePrice,
+      // casi_score is computed from these at build time (src/lib/casi-score.js)
+      ...(synthesis.seating && { seating: synthesis.seating }),
+      ...(synthesis.tables && { tables: synthesis.tables }),
+      coordinates: { lat, long },
+    },
+    ...(hours.length > 0 && { hours }),
+  };
 
   return {
     slug,
-    content: `${frontmatter}\n\n${synthesis.review}\n`,
+    frontmatter,
+    body: synthesis.review,
   };
 }
 
@@ -240,134 +204,268 @@ Suggest ONE new Google Maps search query that will find DIFFERENT cafes we don't
 Respond with ONLY the search query text, no explanation. Keep it under 10 words.`;
 
   try {
-    const completion = await groq.chat.completions.create({
-      model: 'llama-3.3-70b-versatile',
+    const content = await llm.complete({
       messages: [{ role: 'user', content: prompt }],
       temperature: 0.8,
-      max_tokens: 50,
+      maxTokens: 50,
     });
 
-    const newQuery = completion.choices[0]?.message?.content?.trim() || '';
+    const newQuery = content.trim();
     return newQuery.replace(/["""]/g, '').split('\n')[0].trim();
-  } catch {
+  } catch (error) {
+    rethrowIfBudgetSpent(error);
     return null;
   }
 }
 
-async function processPlaces(places, processedSpots, processedUris) {
-  let newCount = 0;
-  let skippedCount = 0;
-  const skippedNames = [];
+// Ledgers and published spots, loaded once per run; each task saves what it changes
+const state = {};
 
-  for (const place of places) {
-    const name = place.displayName?.text || 'Unknown';
-    const uri = place.googleMapsUri || '';
+function loadState() {
+  state.processedSpots = loadProcessedSpots();
+  state.processedKeys = new Set(state.processedSpots.map((s) => mapsKey(s.uri)));
+  state.existingSpots = spotCandidates();
+  state.reviewQueue = loadReviewQueue();
+}
 
-    // Skip if already processed
-    if (processedUris.has(uri)) {
-      console.log(`\n⏭️  Skipping (already processed): ${name}`);
-      skippedCount++;
-      skippedNames.push(name);
-      continue;
-    }
+function sendToReview(ctx, entry) {
+  const record = quarantine(state.reviewQueue, entry);
+  ctx.write(`queue ${entry.name} in review-queue.json (${entry.reason})`, () => saveReviewQueue(state.reviewQueue));
+  return record;
+}
+
+// Task: run one Places search and queue every place it found. The places are
+// kept in the checkpoint, so a resumed run does not search (and pay) again.
+async function search({ query, round, placesMode }, ctx) {
+  console.log(`\n🔍 Fetching places from Google Places API (${placesMode})...`);
+  console.log(`   Query: "${query}"`);
 
-    console.log(`\n☕ Processing: ${name}`);
+  const places = await fetchPlaces(query, { mode: placesMode });
+  console.log(`📍 Found ${places.length} places`);
 
-    // Use Groq to infer neighborhood
-    console.log('   🏘️  Inferring neighborhood...');
-    const neighborhood = await inferNeighborhoodWithGroq(name, place.formattedAddress || '');
-    console.log(`   📍 Neighborhood: ${neighborhood}`);
+  const before = ctx.tasks.length;
+  places.forEach((place) => {
+    const name = place.displayName?.text || 'Unknown';
+    ctx.enqueue({ id: `place:${mapsKey(place.googleMapsUri || '') || name}`, type: 'place', round, place });
+  });
+  // Found again after an earlier search queued it: counts as already processed
+  const queued = ctx.tasks.length - before;
 
-    // Clean up the cafe name
-    console.log('   ✨ Cleaning name...');
-    const cleanName = await cleanCafeNameWithGroq(name);
-    console.log(`   📛 Clean name: ${cleanName}`);
+  ctx.enqueue({ id: `next-query:${round}`, type: 'next-query', round, query, placesMode });
+  return { found: places.length, queued };
+}
 
-    console.log('   🤖 Synthesizing review with Groq...');
-    const synthesis = await synthesizeReview(cleanName, place.reviews, place.rating);
+// Task: turn one place into a bundle, or quarantine it
+async function processPlace({ place }, ctx) {
+  const name = place.displayName?.text || 'Unknown';
+  const uri = place.googleMapsUri || '';
+  // By place cid: the URI's g_mp param changes between searches
+  const key = mapsKey(uri);
+
+  // Skip if already processed
+  if (state.processedKeys.has(key)) {
+    console.log(`\n⏭️  Skipping (already processed): ${name}`);
+    return { outcome: 'skipped', name };
+  }
 
-    const { slug, content } = generateMdx(place, synthesis, neighborhood, cleanName);
-    const filePath = join(SPOTS_DIR, `${slug}.mdx`);
+  // Collided before and the bundle is still there: nothing to do until a
+  // curator picks a distinct slug, so do not pay for the LLM calls again
+  const collided = state.reviewQueue.find((entry) => entry.uri === uri && entry.reason === 'slug-collision');
+  if (collided && bundleExists(collided.slug)) {
+    console.log(`\n⏭️  Skipping (slug ${collided.slug} taken, waiting in review-queue.json): ${name}`);
+    return { outcome: 'collision', name, slug: collided.slug };
+  }
 
-    writeFileSync(filePath, content, 'utf-8');
-    console.log(`   ✅ Written: ${slug}.mdx`);
+  console.log(`\n☕ Processing: ${name}`);
 
-    // Add to processed list
-    processedSpots.push({
+  // Already published under another link or name (src/lib/duplicates.js).
+  // A branch of a published chain is a new spot and goes ahead.
+  const candidate = {
+    slug: uri,
+    title: name,
+    coordinates: place.location && { lat: place.location.latitude, long: place.location.longitude },
+    mapsKeys: candidateKeys([uri]),
+  };
+  const matches = state.existingSpots.map((spot) => compareCandidates(candidate, spot)).filter(Boolean);
+  const twin = matches.find((match) => match.kind !== 'branch');
+  if (twin) {
+    sendToReview(ctx, {
       uri,
       name,
+      reason: 'possible-duplicate',
+      errors: [`Looks like ${twin.b}: ${twin.reason}${twin.meters === null ? '' : `, ${Math.round(twin.meters)} m away`}`],
+    });
+    console.warn(`   🚧 Quarantined in review queue (possible duplicate of ${twin.b})`);
+    return { outcome: 'quarantined', name };
+  }
+  matches.forEach((match) => console.log(`   🔗 Another branch of ${match.b}; link them with npm run duplicates -- --write`));
+
+  // Point-in-polygon first; the LLM only guesses for points outside the dataset
+  console.log('   🏘️  Resolving neighborhood...');
+  const resolved = resolveNeighborhood({ lat: place.location?.latitude, long: place.location?.longitude });
+  const neighborhood = resolved || await inferNeighborhood(name, place.formattedAddress || '');
+
+  if (!neighborhood) {
+    sendToReview(ctx, {
+      uri,
+      name,
+      reason: 'unknown-neighborhood',
+      errors: [`No polygon contains ${place.location?.latitude},${place.location?.longitude} and the ${llm.name} guess is not in the registry`],
+    });
+    console.warn('   🚧 Quarantined in review queue (unknown-neighborhood)');
+    return { outcome: 'quarantined', name };
+  }
+  console.log(`   📍 Neighborhood: ${neighborhoodName(neighborhood)} (${resolved ? 'coordinates' : `${llm.name} guess`})`);
+
+  // Clean up the cafe name
+  console.log('   ✨ Cleaning name...');
+  const cleanName = await cleanCafeName(name);
+  console.log(`   📛 Clean name: ${cleanName}`);
+
+  // Never clobber an existing bundle (e.g. a second EatMyTrip branch resolving
+  // to the same neighborhood-name slug). Checked before the review is written;
+  // the place waits in the review queue for a curator to pick a distinct slug.
+  const slug = spotSlug(neighborhood, spotTitle(place, cleanName));
+  if (bundleExists(slug)) {
+    sendToReview(ctx, {
+      uri,
+      name,
+      cleanName,
       neighborhood,
       slug,
-      processedAt: new Date().toISOString(),
+      reason: 'slug-collision',
+      errors: [`${slug}/${BUNDLE_ENTRY} already exists`],
     });
-    processedUris.add(uri);
+    console.warn(`   ⚠️  Slug collision: ${slug}/${BUNDLE_ENTRY} already exists; quarantined in review queue`);
+    return { outcome: 'collision', name, slug };
+  }
+
+  console.log(`   🤖 Synthesizing review with ${llm.name}...`);
+  const synthesis = await synthesizeReview(cleanName, place.reviews, place.rating);
 
-    newCount++;
+  // Not marked processed, so the next run retries it
+  if (!synthesis.ok) {
+    sendToReview(ctx, {
+      uri,
+      name,
+      cleanName,
+      neighborhood,
+      reason: synthesis.reason,
+      errors: synthesis.errors,
+      raw: synthesis.raw,
+    });
+    console.warn(`   🚧 Quarantined in review queue (${synthesis.reason})`);
+    return { outcome: 'quarantined', name };
   }
 
-  return { newCount, skippedCount, skippedNames };
+  const { frontmatter, body } = generateMdx(place, synthesis.data, neighborhood, cleanName);
+
+  ctx.write(`write ${slug}/${BUNDLE_ENTRY} (${frontmatter.title}, ${neighborhoodName(neighborhood)})`, () => writeBundle(slug, frontmatter, body));
+  release(state.reviewQueue, uri);
+  state.existingSpots.push({ ...candidate, slug, title: cleanName });
+  if (!ctx.dryRun) console.log(`   ✅ Written: ${slug}/${BUNDLE_ENTRY}`);
+
+  // Add to processed list; saved right after the bundle so a crash cannot leave it unrecorded
+  state.processedSpots.push({
+    uri,
+    name,
+    neighborhood,
+    slug,
+    processedAt: new Date().toISOString(),
+  });
+  state.processedKeys.add(key);
+  ctx.write(`record ${name} in processed-spots.json`, () => {
+    saveProcessedSpots(state.processedSpots);
+    saveReviewQueue(state.reviewQueue);
+  });
+
+  return { outcome: 'new', name, slug };
+}
+
+// Task: after a search's places are done, ask for a fresh query when it mostly found known places
+async function nextQuery({ round, query, placesMode }, ctx) {
+  const { found, queued } = ctx.tasks.find((task) => task.id === `search:${round}`).result;
+  const places = ctx.tasks.filter((task) => task.input.type === 'place' && task.input.round === round && task.result);
+  const skippedNames = places.filter((task) => task.result.outcome === 'skipped').map((task) => task.result.name);
+  const skippedCount = found - queued + skippedNames.length;
+  const newCount = places.filter((task) => task.result.outcome === 'new').length;
+
+  // Check if we should try a new query
+  const duplicateRatio = found > 0 ? skippedCount / found : 0;
+  if (!(duplicateRatio > 0.5 && newCount < 5 && round < MAX_SEARCHES - 1)) return { query: null };
+
+  console.log(`\n🔄 Too many duplicates (${Math.round(duplicateRatio * 100)}%). Asking ${llm.name} for a new query...`);
+  const newQuery = await suggestNewQuery(query, [...state.processedSpots.map((s) => s.name), ...skippedNames]);
+  if (!newQuery || newQuery === query) return { query: null };
+
+  console.log(`   💡 New query: "${newQuery}"`);
+  ctx.enqueue({ id: `search:${round + 1}`, type: 'search', query: newQuery, round: round + 1, placesMode });
+  return { query: newQuery };
 }
 
+const TASKS = { search, place: processPlace, 'next-query': nextQuery };
+
+// Usage: npm run seed [-- "<query>"]          -> search Google Places and write new bundles
+//        npm run seed -- --record | --replay   -> save raw Places responses / read them back offline
+//        (with LLM_PROVIDER=fixture and no keys, npm test replays the fixtures/ run end to end)
+//        npm run seed -- --dry-run             -> run everything, print the bundles and ledger updates instead
+// Runs as a job (lib/jobs.js): an interrupted run resumes when started again
+// with the same arguments (--fresh starts over), --max-requests=N and
+// --max-tokens=N cap the LLM budget, and requests are paced to the provider's
+// rate limits (lib/budget.js).
 async function main() {
-  const MAX_RETRIES = 3;
-  let query = process.argv[2] || 'Laptop friendly specialty coffee madrid';
-  let retryCount = 0;
-  let totalNew = 0;
-  let totalSkipped = 0;
+  const args = process.argv.slice(2);
+  // --record saves raw Places responses, --replay reads them back offline
+  const placesMode = args.includes('--replay') ? 'replay' : args.includes('--record') ? 'record' : 'live';
+  const query = args.find((a) => !a.startsWith('--')) || 'Laptop friendly specialty coffee madrid';
 
   // Load already processed spots
-  const processedSpots = loadProcessedSpots();
-  const processedUris = new Set(processedSpots.map((s) => s.uri));
-  const processedNames = processedSpots.map((s) => s.name);
-
-  while (retryCount < MAX_RETRIES) {
-    console.log(`\n🔍 Fetching places from Google Places API...`);
-    console.log(`   Query: "${query}"`);
-    
-    const places = await fetchPlaces(query);
-    console.log(`📍 Found ${places.length} places`);
-
-    const { newCount, skippedCount, skippedNames } = await processPlaces(
-      places,
-      processedSpots,
-      processedUris
-    );
-
-    totalNew += newCount;
-    totalSkipped += skippedCount;
-
-    // Check if we should try a new query
-    const duplicateRatio = skippedCount / places.length;
-    
-    if (duplicateRatio > 0.5 && newCount < 5 && retryCount < MAX_RETRIES - 1) {
-      console.log(`\n🔄 Too many duplicates (${Math.round(duplicateRatio * 100)}%). Asking Groq for a new query...`);
-      
-      const newQuery = await suggestNewQuery(query, [...processedNames, ...skippedNames]);
-      
-      if (newQuery && newQuery !== query) {
-        console.log(`   💡 New query: "${newQuery}"`);
-        query = newQuery;
-        retryCount++;
-        continue;
-      }
-    }
-
-    break;
+  loadState();
+
+  const { tasks, complete } = await runJob({
+    name: 'seed',
+    params: { query, placesMode },
+    plan: () => [{ id: 'search:0', type: 'search', query, round: 0, placesMode }],
+    run: (input, ctx) => TASKS[input.type](input, ctx),
+  }, { ...options, llm });
+
+  // Totals over the whole run, including sessions before a resume
+  const results = tasks.filter((task) => task.input.type === 'place' && task.result).map((task) => task.result);
+  const searches = tasks.filter((task) => task.input.type === 'search' && task.result);
+  const totalNew = results.filter((result) => result.outcome === 'new').length;
+  const totalSkipped = results.filter((result) => result.outcome === 'skipped').length
+    + searches.reduce((sum, task) => sum + task.result.found - task.result.queued, 0);
+  const allCollisions = results.filter((result) => result.outcome === 'collision');
+  const allQuarantined = results.filter((result) => result.outcome === 'quarantined').map((result) => result.name);
+  const { requests, tokens, retries } = llm.usage();
+
+  console.log(`\n🎉 ${complete ? 'Done' : 'Stopped'}! ${options.dryRun ? 'Would add' : 'Added'} ${totalNew} new spots, skipped ${totalSkipped} already processed.`);
+  console.log(`📋 Total in processed list: ${state.processedSpots.length}`);
+  console.log(`📊 This run: ${requests} LLM request(s), ~${tokens} tokens, ${retries} retried`);
+  
+  if (searches.length > 1) {
+    console.log(`🔄 Used ${searches.length - 1} query refinement(s)`);
   }
 
-  // Save updated processed list
-  saveProcessedSpots(processedSpots);
+  // New bundles have no cover, so they stay out of every listing until they get one
+  if (totalNew > 0 && !options.dryRun) {
+    console.log(`📸 Add photos to the new spots with npm run photos (Places photos are used when recorded with --record)`);
+  }
 
-  console.log(`\n🎉 Done! Added ${totalNew} new spots, skipped ${totalSkipped} already processed.`);
-  console.log(`📋 Total in processed list: ${processedSpots.length}`);
-  
-  if (retryCount > 0) {
-    console.log(`🔄 Used ${retryCount} query refinement(s)`);
+  if (allCollisions.length > 0) {
+    console.log(`⚠️  ${allCollisions.length} place(s) not written due to slug collisions (queued in review-queue.json):`);
+    allCollisions.forEach(({ name, slug }) => console.log(`   - ${name} → ${slug}`));
   }
+
+  if (allQuarantined.length > 0) {
+    console.log(`🚧 ${allQuarantined.length} place(s) quarantined for manual review in review-queue.json:`);
+    allQuarantined.forEach((name) => console.log(`   - ${name}`));
+  }
+
+  if (!complete) process.exitCode = 1;
 }
 
 main().catch((err) => {
   console.error('❌ Error:', err.message);
   process.exit(1);
 });
-
@@ -0,0 +1,149 @@
+import 'dotenv/config';
+import { BUNDLE_ENTRY, listBundles, readBundle, bundleExists, readTranslation, writeTranslation } from '../lib/spots.js';
+import { createProvider } from '../lib/llm/index.js';
+import { withBudget } from '../lib/budget.js';
+import { jobOptions, runJob } from '../lib/jobs.js';
+import { LOCALES, DEFAULT_LOCALE, LOCALE_NAMES } from '../../src/lib/i18n.js';
+import { sourceHash, translationEntry } from '../../src/lib/translations.js';
+
+const options = jobOptions(process.argv.slice(2));
+
+const LOCALE_PROMPTS = {
+  es: 'Spanish as spoken in Madrid (Spain, "tú" form, euros written "2,50 €")',
+};
+
+// missing: no translation yet; stale: the English body changed since it was made
+function translationState(slug, locale) {
+  const { body } = readBundle(slug);
+  const translation = readTranslation(slug, locale);
+  if (!translation) return { slug, state: 'missing' };
+  const { source_hash: translatedFrom, status = 'draft' } = translation.frontmatter;
+  return { slug, state: translatedFrom === sourceHash(body) ? 'current' : 'stale', status };
+}
+
+async function translateReview(llm, title, body, locale) {
+  const prompt = `Translate this review of "${title}", a cafe in Madrid, into ${LOCALE_PROMPTS[locale]}.
+
+Rules:
+- Keep the markdown structure exactly: same headings (translated), paragraphs, lists and emphasis.
+- Keep names of venues, streets, neighborhoods and dishes as they are.
+- Keep CasiLocal terms untranslated: "Casi Score", "Flynet".
+- Keep the tone: dense, opinionated, occasionally sarcastic but fair. Translate meaning, not word for word.
+
+Review:
+---
+${body}
+---
+
+Respond with ONLY the translated markdown. No intro, no notes.`;
+
+  const content = await llm.complete({
+    messages: [{ role: 'user', content: prompt }],
+    temperature: 0.3,
+    maxTokens: 2000,
+  });
+
+  return content.trim().replace(/^---\n|\n---$/g, '').trim();
+}
+
+const headingCount = (markdown) => (markdown.match(/^#{1,6}\s/gm) || []).length;
+
+// One task per spot and locale: draft the translation from the current English body
+async function translate({ slug, locale }, ctx, llm) {
+  const { frontmatter, body } = readBundle(slug);
+  const position = ctx.tasks.findIndex((task) => task.id === `${locale}/${slug}`) + 1;
+  console.log(`   🤖 [${position}/${ctx.tasks.length}] ${slug} (${locale}) via ${llm.name}`);
+
+  const translated = await translateReview(llm, frontmatter.title || slug, body, locale);
+  if (!translated) throw new Error('empty response');
+  if (headingCount(translated) !== headingCount(body)) {
+    console.warn(`   ⚠️  ${slug}: heading count differs from the original, check the draft`);
+  }
+
+  ctx.write(`draft ${slug}/${translationEntry(locale)}`, () => writeTranslation(slug, locale, {
+    source_hash: sourceHash(body),
+    status: 'draft',
+    translated_at: new Date().toISOString().slice(0, 10),
+    translated_by: `${llm.name}/${llm.model}`,
+  }, translated));
+  if (!ctx.dryRun) console.log(`   ✅ Drafted ${slug}/${translationEntry(locale)}`);
+}
+
+// Usage: npm run translate -- --check             -> list missing/stale translations (exit 1 if any)
+//        npm run translate [-- <slug>]            -> draft missing translations, re-draft stale drafts
+//        npm run translate -- <slug> --force      -> also re-draft a reviewed translation
+// Options: --locale=es (default: every non-English locale)
+// Drafting runs as a job (lib/jobs.js): an interrupted run resumes when started
+// again with the same arguments, and requests are paced and retried by
+// lib/budget.js (--dry-run, --fresh, --max-requests=N, --max-tokens=N as in refine).
+async function main() {
+  const args = process.argv.slice(2);
+  const check = args.includes('--check');
+  const force = args.includes('--force');
+  const localeArg = args.find((arg) => arg.startsWith('--locale='))?.split('=')[1];
+  const slug = args.find((arg) => !arg.startsWith('--'))?.replace(/\/(index\.mdx)?$/, '');
+  const locales = localeArg ? [localeArg] : LOCALES.filter((locale) => locale !== DEFAULT_LOCALE);
+
+  if (locales.some((locale) => !LOCALE_PROMPTS[locale])) {
+    console.error(`❌ Unknown locale. Expected one of: ${Object.keys(LOCALE_PROMPTS).join(', ')}`);
+    process.exit(1);
+  }
+
+  if (slug && !bundleExists(slug)) {
+    console.error(`❌ Bundle not found: ${slug}/${BUNDLE_ENTRY}`);
+    process.exit(1);
+  }
+
+  const slugs = slug ? [slug] : listBundles();
+
+  if (check) {
+    for (const locale of locales) {
+      const states = slugs.map((s) => translationState(s, locale));
+      const missing = states.filter((s) => s.state === 'missing');
+      const stale = states.filter((s) => s.state === 'stale');
+      console.log(`🌍 ${LOCALE_NAMES[locale]} (${translationEntry(locale)}): ${states.length - missing.length - stale.length} current, ${stale.length} stale, ${missing.length} missing\n`);
+      stale.forEach((s) => console.log(`   ⚠️  stale   ${s.slug} (${s.status})`));
+      missing.forEach((s) => console.log(`   ·  missing ${s.slug}`));
+      if (stale.length > 0) process.exitCode = 1;
+    }
+    return;
+  }
+
+  // Paced, retried and capped by lib/budget.js
+  const llm = withBudget(createProvider(), options.budget);
+
+  const job = {
+    name: 'translate',
+    params: { slug: slug ?? null, locales, force },
+    plan() {
+      return locales.flatMap((locale) => {
+        const states = slugs.map((s) => translationState(s, locale));
+        const missing = states.filter((s) => s.state === 'missing');
+        const stale = states.filter((s) => s.state === 'stale');
+        console.log(`🌍 ${LOCALE_NAMES[locale]} (${translationEntry(locale)}): ${states.length - missing.length - stale.length} current, ${stale.length} stale, ${missing.length} missing\n`);
+
+        // Reviewed translations are an editor's work: flag them, only overwrite with --force
+        stale
+          .filter((s) => s.status === 'reviewed' && !force)
+          .forEach((s) => console.log(`   ⚠️  ${s.slug}: reviewed translation is stale, update it by hand or re-run with --force`));
+        return [...missing, ...stale.filter((s) => s.status !== 'reviewed' || force)]
+          .map((s) => ({ id: `${locale}/${s.slug}`, slug: s.slug, locale }));
+      });
+    },
+    run: (input, ctx) => translate(input, ctx, llm),
+  };
+
+  const { tasks, complete } = await runJob(job, { ...options, llm });
+  if (tasks.length === 0) return;
+
+  const drafted = tasks.filter((task) => task.status === 'done').length;
+  const { requests, tokens, retries } = llm.usage();
+  console.log(`\n🎉 Drafted ${drafted} of ${tasks.length} translation(s)${options.dryRun ? ' (dry run, nothing written)' : ''}.`);
+  console.log(`📊 This run: ${requests} LLM request(s), ~${tokens} tokens, ${retries} retried`);
+  if (!complete) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error('❌ Error:', err.message);
+  process.exit(1);
+});
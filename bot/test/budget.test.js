@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { limitsFor } from '../lib/budget.js';
+import { jobOptions } from '../lib/jobs.js';
+
+test('budget flags parse to numbers and reject anything else', () => {
+  assert.deepEqual(jobOptions(['--max-requests=20', '--max-tokens=5000']).budget, { maxRequests: 20, maxTokens: 5000 });
+  assert.deepEqual(jobOptions([]).budget, { maxRequests: undefined, maxTokens: undefined });
+  for (const value of ['abc', '', '0', '-3', 'Infinity']) {
+    assert.throws(() => jobOptions([`--max-requests=${value}`]), /--max-requests must be a positive number/);
+  }
+});
+
+test('limits from the environment reject non-numeric values', (t) => {
+  t.after(() => { delete process.env.LLM_RPM; delete process.env.LLM_MAX_TOKENS; });
+  process.env.LLM_RPM = '10';
+  assert.equal(limitsFor({ name: 'groq' }).requestsPerMinute, 10);
+  process.env.LLM_RPM = 'ten';
+  assert.throws(() => limitsFor({ name: 'groq' }), /LLM_RPM must be a positive number, got "ten"/);
+  delete process.env.LLM_RPM;
+  process.env.LLM_MAX_TOKENS = '1e4x';
+  assert.throws(() => limitsFor({ name: 'groq' }), /LLM_MAX_TOKENS/);
+});
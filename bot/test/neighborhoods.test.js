@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { listBundles, readBundle } from '../lib/spots.js';
+import { resolveNeighborhood } from '../lib/geo.js';
+
+// Spots whose label and location disagree by more than a boundary tweak can
+// fix, mapped to the polygon their coordinates fall in. npm run
+// backfill:neighborhoods lists them too; drop an entry once the spot is checked.
+const KNOWN_CONFLICTS = {
+  // Google Places puts the door at 40.4252,-3.7037, ~1 km north of Huertas in
+  // Malasaña; the label came from the seeding search query
+  'huertas-infernales': 'malasana',
+};
+
+test('every labelled spot falls inside its own neighborhood polygon', () => {
+  const misplaced = [];
+  for (const slug of listBundles()) {
+    const { frontmatter } = readBundle(slug);
+    const coordinates = frontmatter.metrics?.coordinates;
+    if (!frontmatter.neighborhood || !coordinates) continue;
+
+    const located = resolveNeighborhood(coordinates);
+    const expected = KNOWN_CONFLICTS[slug] ?? frontmatter.neighborhood;
+    if (located !== expected) misplaced.push(`${slug}: labelled ${frontmatter.neighborhood}, polygon says ${located}`);
+  }
+  assert.deepEqual(misplaced, []);
+});
+
+test('a point outside every polygon resolves to null', () => {
+  assert.equal(resolveNeighborhood({ lat: 40.5, long: -3.6 }), null);
+  assert.equal(resolveNeighborhood(undefined), null);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import yaml from 'js-yaml';
+import { createWorkspace } from './workspace.js';
+
+// Seed and refine end to end with no network and no keys: Places answers from
+// fixtures/places, the LLM from fixtures/llm. Both are hand-written for three
+// fictional cafés (a new spot, one outside every polygon, one without reviews).
+// After changing a prompt, re-record fixtures/llm with LLM_FIXTURE_MODE=record.
+const QUERY = 'replay test: laptop friendly cafes madrid';
+const OFFLINE = { LLM_PROVIDER: 'fixture', GOOGLE_PLACES_API_KEY: '', GROQ_API_KEY: '' };
+
+const frontmatterOf = (file) => yaml.load(readFileSync(file, 'utf-8').match(/^---\n([\s\S]*?)\n---/)[1]);
+
+test('seed and refine replay offline from the committed fixtures', () => {
+  const workspace = createWorkspace();
+  try {
+    const seed = workspace.run('seed-spots.js', ['--replay', QUERY], OFFLINE);
+    assert.equal(seed.status, 0, seed.stderr || seed.stdout);
+
+    const entry = join(workspace.dir, 'src/content/spots/chamberi-ensayo/index.mdx');
+    assert.ok(existsSync(entry), seed.stdout);
+    const seeded = frontmatterOf(entry);
+    assert.equal(seeded.title, 'Ensayo');
+    assert.equal(seeded.neighborhood, 'chamberi');
+    assert.deepEqual(
+      { wifi_speed: seeded.metrics.wifi_speed, noise_level: seeded.metrics.noise_level, plug_access: seeded.metrics.plug_access },
+      { wifi_speed: 'reliable', noise_level: 'hum', plug_access: true },
+    );
+
+    const queue = JSON.parse(readFileSync(join(workspace.dir, 'bot/review-queue.json'), 'utf-8'));
+    assert.deepEqual(queue.map(({ name, reason }) => [name, reason]), [
+      ['Tostadero Simulacro', 'unknown-neighborhood'],
+      ['Maqueta Coffee Bar', 'no-reviews'],
+    ]);
+
+    const refine = workspace.run('refine-reviews.js', ['chamberi-ensayo'], OFFLINE);
+    assert.equal(refine.status, 0, refine.stderr || refine.stdout);
+    assert.match(readFileSync(entry, 'utf-8'), /## First Impressions/);
+    assert.ok(existsSync(join(workspace.dir, 'src/content/revisions/chamberi-ensayo.json')));
+  } finally {
+    workspace.remove();
+  }
+});
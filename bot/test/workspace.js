@@ -0,0 +1,39 @@
+import { cpSync, mkdirSync, mkdtempSync, rmSync, symlinkSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { spawnSync } from 'child_process';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '../..');
+
+// Run state a copy must not inherit: ledgers of the real tree's runs, keys, checkpoints
+const SKIP = /[\\/]bot[\\/](node_modules|jobs|photos|\.env|review-queue\.json)$/;
+
+/**
+ * A throwaway copy of bot/ and src/lib with no published spots. Every path
+ * the scripts write to is relative to their own files, so runs inside it
+ * never touch the real content.
+ * @returns {{ dir: string, run: (script: string, args?: string[], env?: object) => import('child_process').SpawnSyncReturns<string>, remove: () => void }}
+ */
+export function createWorkspace() {
+  const dir = mkdtempSync(join(tmpdir(), 'casilocal-bot-'));
+  cpSync(join(ROOT, 'bot'), join(dir, 'bot'), { recursive: true, filter: (src) => !SKIP.test(src) });
+  cpSync(join(ROOT, 'src/lib'), join(dir, 'src/lib'), { recursive: true });
+  mkdirSync(join(dir, 'src/content/spots'), { recursive: true });
+  symlinkSync(join(ROOT, 'node_modules'), join(dir, 'node_modules'), 'dir');
+  symlinkSync(join(ROOT, 'bot/node_modules'), join(dir, 'bot/node_modules'), 'dir');
+
+  return {
+    dir,
+    run(script, args = [], env = {}) {
+      return spawnSync(process.execPath, [`scripts/${script}`, ...args], {
+        cwd: join(dir, 'bot'),
+        encoding: 'utf-8',
+        timeout: 60 * 1000,
+        env: { ...process.env, LLM_FIXTURE_DIR: '', LLM_FIXTURE_MODE: '', ...env },
+      });
+    },
+    remove: () => rmSync(dir, { recursive: true, force: true }),
+  };
+}
@@ -1,4 +1,158 @@
 import { config, fields, collection } from '@keystatic/core';
+import { NEIGHBORHOODS } from './src/lib/neighborhoods.js';
+import { DAYS, DAY_NAMES } from './src/lib/opening-hours.js';
+
+const dayOptions = DAYS.map((day) => ({ label: DAY_NAMES[day], value: day }));
+
+// A select that can stay unrated: the '' option writes nothing to the
+// frontmatter (like an empty number field), so saving a spot never rates it
+const optionalSelect = (config: { label: string, options: { label: string, value: string }[] }) => {
+    const field = fields.select({ ...config, options: [{ label: 'Not rated', value: '' }, ...config.options], defaultValue: '' });
+    return { ...field, serialize: (value: string) => ({ value: value || undefined }) };
+};
+
+// Shared by published spots and pending reader submissions, so a curator
+// completes a draft with exactly the fields the spot schema requires
+const spotFields = {
+    slug: fields.slug({ name: { label: 'Slug (Neighborhood-Name)' } }),
+    title: fields.text({ label: 'Venue Name' }),
+    author: fields.relationship({
+        label: 'Author',
+        collection: 'authors',
+    }),
+    address: fields.text({ label: 'Street Address (Optional)' }),
+    maps_url: fields.url({
+        label: 'Google Maps Link',
+        description: 'The place on Google Maps (maps.app.goo.gl or ?cid= link); matches reader reports and duplicates to this spot',
+    }),
+    chain: fields.text({
+        label: 'Chain (Optional)',
+        description: 'Same value on every branch of a multi-location business, e.g. "eatmytrip"; links the branches on each spot page',
+    }),
+    neighborhood: fields.select({
+        label: 'Neighborhood',
+        options: Object.entries(NEIGHBORHOODS).map(([value, { name }]) => ({ label: name, value })),
+        defaultValue: 'malasana',
+    }),
+    // Feed dates; the bots fill them in, set them by hand for spots written here
+    published_at: fields.date({ label: 'Published' }),
+    updated_at: fields.date({ label: 'Last Updated (Optional)' }),
+    coverImage: fields.object({
+        image: fields.image({
+            label: 'Cover Image (3:2)',
+            publicPath: './',
+        }),
+        alt: fields.text({ label: 'Alt Text (Optional)' }),
+        source: fields.text({ label: 'Source URL (Optional)' }),
+    }, { label: 'Cover Image' }),
+    gallery: fields.array(
+        fields.object({
+            image: fields.image({
+                label: 'Evidence Photo',
+                publicPath: './',
+            }),
+            alt: fields.text({ label: 'Alt Text (Optional)' }),
+            source: fields.text({ label: 'Source URL (Optional)' }),
+        }),
+        {
+            label: 'Evidence Gallery',
+            itemLabel: (props) => props.fields.alt.value || 'Gallery Image'
+        }
+    ),
+    metrics: fields.object({
+        wifi_speed: fields.select({
+            label: 'Wifi Speed',
+            options: [
+                { label: 'Flynet (50mb+)', value: 'flynet' },
+                { label: 'Reliable', value: 'reliable' },
+                { label: 'Spotty', value: 'spotty' },
+                { label: 'Digital Detox', value: 'detox' },
+            ],
+            defaultValue: 'reliable',
+        }),
+        noise_level: fields.select({
+            label: 'Noise Level',
+            options: [
+                { label: 'Library Silence', value: 'silence' },
+                { label: 'Cafe Hum', value: 'hum' },
+                { label: 'Bar Chaos', value: 'chaos' },
+            ],
+            defaultValue: 'hum',
+        }),
+        plug_access: fields.checkbox({ label: 'Plug Access', defaultValue: true }),
+        coffee_price: fields.number({
+            label: 'Price of Café con Leche (€)',
+            validation: { min: 0 },
+            defaultValue: 2.5,
+        }),
+        seating: optionalSelect({
+            label: 'Laptop Seating',
+            options: [
+                { label: 'Plenty', value: 'plenty' },
+                { label: 'Some', value: 'some' },
+                { label: 'Scarce', value: 'scarce' },
+            ],
+        }),
+        tables: optionalSelect({
+            label: 'Tables',
+            options: [
+                { label: 'Spacious', value: 'spacious' },
+                { label: 'Standard', value: 'standard' },
+                { label: 'Cramped', value: 'cramped' },
+            ],
+        }),
+        // Kept so saving a spot does not delete it: score:report compares it with the formula
+        casi_score: fields.number({
+            label: 'Legacy Casi Score (hand-entered, not published)',
+            step: 0.1,
+            validation: { min: 1, max: 10 },
+        }),
+        // The Casi Score itself is computed (src/lib/casi-score.js); editors may only nudge it
+        score_adjustment: fields.object({
+            points: fields.number({
+                label: 'Adjustment (-2 to +2, leave empty for none)',
+                step: 0.1,
+                validation: { min: -2, max: 2 },
+            }),
+            reason: fields.text({
+                label: 'Justification (required for any adjustment)',
+                multiline: true,
+            }),
+        }, { label: 'Casi Score Adjustment' }),
+        coordinates: fields.object({
+            lat: fields.number({ label: 'Latitude' }),
+            long: fields.number({ label: 'Longitude' }),
+        }),
+    }),
+    hours: fields.array(
+        fields.object({
+            days: fields.multiselect({ label: 'Days', options: dayOptions }),
+            open: fields.text({ label: 'Opens (HH:MM)' }),
+            close: fields.text({ label: 'Closes (HH:MM, past midnight is fine)' }),
+        }),
+        {
+            label: 'Opening Hours',
+            itemLabel: (props) => `${props.fields.days.value.join(', ')} ${props.fields.open.value}–${props.fields.close.value}`,
+        }
+    ),
+    laptop_policy: fields.array(
+        fields.object({
+            days: fields.multiselect({ label: 'Days', options: dayOptions }),
+            from: fields.text({ label: 'From (HH:MM, empty for all day)' }),
+            to: fields.text({ label: 'To (HH:MM, empty for all day)' }),
+            note: fields.text({ label: 'Note (Optional)' }),
+        }),
+        {
+            label: 'No-Laptop Windows',
+            itemLabel: (props) => `${props.fields.days.value.join(', ')} ${props.fields.from.value && props.fields.to.value ? `${props.fields.from.value}–${props.fields.to.value}` : 'all day'}`,
+        }
+    ),
+    wifi_time_limit: fields.integer({
+        label: 'WiFi Time Limit (minutes, empty for none)',
+        validation: { min: 1 },
+    }),
+    content: fields.mdx({ label: 'Content' }),
+};
 
 export default config({
     // Use Keystatic Cloud for production (handles GitHub OAuth automatically)
@@ -15,74 +169,22 @@ export default config({
             slugField: 'slug',
             path: 'src/content/spots/*/',
             format: { contentField: 'content' },
+            schema: spotFields,
+        }),
+        pending: collection({
+            label: 'Pending Submissions',
+            slugField: 'slug',
+            path: 'src/content/pending/*/',
+            format: { contentField: 'content' },
             schema: {
-                slug: fields.slug({ name: { label: 'Slug (Neighborhood-Name)' } }),
-                title: fields.text({ label: 'Venue Name' }),
-                author: fields.relationship({
-                    label: 'Author',
-                    collection: 'authors',
-                }),
-                address: fields.text({ label: 'Address' }),
-                neighborhood: fields.text({ label: 'Neighborhood' }),
-                coverImage: fields.object({
-                    image: fields.image({
-                        label: 'Cover Image (3:2)',
-                        publicPath: './',
-                    }),
-                    alt: fields.text({ label: 'Alt Text (Optional)' }),
-                    source: fields.text({ label: 'Source URL (Optional)' }),
-                }, { label: 'Cover Image' }),
-                gallery: fields.array(
-                    fields.object({
-                        image: fields.image({
-                            label: 'Evidence Photo',
-                            publicPath: './',
-                        }),
-                        alt: fields.text({ label: 'Alt Text (Optional)' }),
-                        source: fields.text({ label: 'Source URL (Optional)' }),
-                    }),
-                    {
-                        label: 'Evidence Gallery',
-                        itemLabel: (props) => props.fields.alt.value || 'Gallery Image'
-                    }
-                ),
-                metrics: fields.object({
-                    wifi_speed: fields.select({
-                        label: 'Wifi Speed',
-                        options: [
-                            { label: 'Flynet (50mb+)', value: 'flynet' },
-                            { label: 'Reliable', value: 'reliable' },
-                            { label: 'Spotty', value: 'spotty' },
-                            { label: 'Digital Detox', value: 'detox' },
-                        ],
-                        defaultValue: 'reliable',
-                    }),
-                    noise_level: fields.select({
-                        label: 'Noise Level',
-                        options: [
-                            { label: 'Library Silence', value: 'silence' },
-                            { label: 'Cafe Hum', value: 'hum' },
-                            { label: 'Bar Chaos', value: 'chaos' },
-                        ],
-                        defaultValue: 'hum',
-                    }),
-                    plug_access: fields.checkbox({ label: 'Plug Access', defaultValue: true }),
-                    coffee_price: fields.number({
-                        label: 'Price of Café con Leche (€)',
-                        validation: { min: 0 },
-                        defaultValue: 2.5,
-                    }),
-                    casi_score: fields.number({
-                        label: 'Casi Score (1-10)',
-                        validation: { min: 1, max: 10 },
-                        defaultValue: 7,
-                    }),
-                    coordinates: fields.object({
-                        lat: fields.number({ label: 'Latitude' }),
-                        long: fields.number({ label: 'Longitude' }),
-                    }),
-                }),
-                content: fields.mdx({ label: 'Content' }),
+                ...spotFields,
+                // Raw reader answers from /api/submit, kept for reference
+                submission: fields.object({
+                    power: fields.text({ label: 'Power (abundant / scarce / none)' }),
+                    coffee: fields.text({ label: 'Coffee (exceptional / standard / avoid)' }),
+                    mapsKey: fields.text({ label: 'Dedupe Key' }),
+                    receivedAt: fields.text({ label: 'Received At' }),
+                }, { label: 'Reader Submission' }),
             },
         }),
         authors: collection({
@@ -0,0 +1,51 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { lintContent, formatIssue, LINT_RULES } from '../src/lib/content-lint.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..');
+
+// Usage: npm run lint:content                          -> human-readable report
+//        npm run lint:content -- --json                -> JSON report on stdout
+//        npm run lint:content -- --report=lint.json    -> also write the JSON report to a file
+// Exits 1 when any error is found; warnings alone exit 0.
+function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const reportPath = args.find((arg) => arg.startsWith('--report='))?.split('=')[1];
+
+  const { issues, checked } = lintContent({ root: ROOT });
+  const errors = issues.filter((issue) => issue.severity === 'error');
+  const warnings = issues.filter((issue) => issue.severity === 'warning');
+
+  const report = {
+    generated_at: new Date().toISOString(),
+    checked,
+    summary: { errors: errors.length, warnings: warnings.length },
+    rules: LINT_RULES,
+    issues,
+  };
+
+  if (reportPath) {
+    fs.writeFileSync(path.resolve(process.cwd(), reportPath), `${JSON.stringify(report, null, 2)}\n`);
+  }
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`Linted ${checked.spots} spots and ${checked.authors} authors.`);
+    for (const [label, list] of [['Errors', errors], ['Warnings', warnings]]) {
+      if (list.length === 0) continue;
+      console.log(`\n${label}:`);
+      list.forEach((issue) => console.log(`  ${formatIssue(issue)}`));
+    }
+    console.log(`\n${errors.length} errors, ${warnings.length} warnings.`);
+  }
+
+  if (errors.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -1,9 +1,16 @@
 import { defineCollection, z } from 'astro:content';
 import { glob } from 'astro/loaders';
+import { metricsSchema, hoursSchema, laptopPolicySchema, wifiTimeLimitSchema, publishDateSchema, chainSchema } from '../lib/spot-schema.js';
+import { NEIGHBORHOOD_SLUGS, neighborhoodName } from '../lib/neighborhoods.js';
+import { observationsFileSchema } from '../lib/observations.js';
+import { revisionsFileSchema } from '../lib/revisions.js';
+import { computeCasiScore } from '../lib/casi-score.js';
+import { translationSchema } from '../lib/translations.js';
 
 const spots = defineCollection({
     loader: glob({
-        pattern: "**/*.{md,mdx}",
+        // Translations (index.es.mdx) are their own collection below
+        pattern: "**/!(*.es).{md,mdx}",
         base: "./src/content/spots",
         generateId: ({ entry, data }) => {
             // Keep the slug clean: "slug/index.mdx" -> "slug"
@@ -19,8 +26,12 @@ const spots = defineCollection({
     schema: ({ image }) => z.object({
         title: z.string(),
         author: z.string().optional(), // References author by slug
-        address: z.string().optional(),
-        neighborhood: z.string(),
+        address: z.string().optional(), // Street address, shown on the page
+        maps_url: z.string().url().optional(), // Google Maps link: the spot's identity for reports and dedupe
+        chain: chainSchema, // Shared by sibling branches (src/lib/duplicates.js)
+        neighborhood: z.enum(NEIGHBORHOOD_SLUGS), // Slug from src/lib/neighborhoods.js
+        published_at: publishDateSchema,
+        updated_at: publishDateSchema,
         coverImage: z.object({
             image: image(),
             alt: z.string().optional(),
@@ -33,17 +44,10 @@ const spots = defineCollection({
                 source: z.string().optional()
             })
         ).optional(),
-        metrics: z.object({
-            wifi_speed: z.enum(['flynet', 'reliable', 'spotty', 'detox']),
-            noise_level: z.enum(['silence', 'hum', 'chaos']),
-            plug_access: z.boolean(),
-            coffee_price: z.number(),
-            casi_score: z.number().min(1).max(10),
-            coordinates: z.object({
-                lat: z.number(),
-                long: z.number(),
-            }),
-        }),
+        metrics: metricsSchema,
+        hours: hoursSchema.optional(),
+        laptop_policy: laptopPolicySchema.optional(),
+        wifi_time_limit: wifiTimeLimitSchema, // Minutes
     }).transform((data) => {
         // Computed field: rentScore
         let rentScore = 'Medium';
@@ -53,13 +57,36 @@ const spots = defineCollection({
             rentScore = 'Low';
         }
 
+        // Computed field: casi_score from the published formula (src/lib/casi-score.js);
+        // the hand-entered value is kept only for the score:report migration check
+        const casi = computeCasiScore(data.metrics);
+
         return {
             ...data,
+            metrics: { ...data.metrics, casi_score: casi.score },
+            storedCasiScore: data.metrics.casi_score ?? null,
+            casiBreakdown: casi,
             rentScore,
+            // Computed field: display name for the stored neighborhood slug
+            neighborhoodName: neighborhoodName(data.neighborhood),
         };
     }),
 });
 
+// Translated review bodies: spots/<slug>/index.<locale>.mdx, id "<locale>/<slug>"
+// (see src/lib/translations.js)
+const translations = defineCollection({
+    loader: glob({
+        pattern: "*/index.es.{md,mdx}",
+        base: "./src/content/spots",
+        generateId: ({ entry }) => {
+            const [slug, file] = entry.split('/');
+            return `${file.split('.')[1]}/${slug}`;
+        }
+    }),
+    schema: translationSchema,
+});
+
 const authors = defineCollection({
     loader: glob({ pattern: "**/*.{md,mdx}", base: "./src/content/authors" }),
     schema: ({ image }) => z.object({
@@ -69,7 +96,22 @@ const authors = defineCollection({
     }),
 });
 
+// Visitor reports per spot: observations/<spot-id>.json (see src/lib/observations.js)
+const observations = defineCollection({
+    loader: glob({ pattern: "*.json", base: "./src/content/observations" }),
+    schema: observationsFileSchema,
+});
+
+// Review body history per spot: revisions/<spot-id>.json (see src/lib/revisions.js)
+const revisions = defineCollection({
+    loader: glob({ pattern: "*.json", base: "./src/content/revisions" }),
+    schema: revisionsFileSchema,
+});
+
 export const collections = {
     spots,
+    translations,
     authors,
+    observations,
+    revisions,
 };
@@ -0,0 +1,96 @@
+// The Casi Score formula. Each metric maps to a 0-10 sub-score, the weighted
+// sum is the base score, and an editor may nudge it by up to ±2 points only
+// with a written reason (metrics.score_adjustment). Published on the home
+// page (Methodology) and broken down per spot in SpotSidebar.
+
+export const SEATING_LEVELS = /** @type {const} */ (['plenty', 'some', 'scarce']);
+export const TABLE_TYPES = /** @type {const} */ (['spacious', 'standard', 'cramped']);
+
+export const MAX_ADJUSTMENT = 2;
+
+// Sub-score used for optional fields a spot has not been rated on yet
+const UNRATED = 6;
+
+export const CASI_SCORE_FACTORS = /** @type {const} */ ([
+    {
+        key: 'wifi_speed',
+        label: 'WiFi',
+        weight: 0.25,
+        scale: { flynet: 10, reliable: 7.5, spotty: 3.5, detox: 1 },
+    },
+    {
+        key: 'noise_level',
+        label: 'Noise',
+        weight: 0.2,
+        scale: { silence: 10, hum: 8, chaos: 3 },
+    },
+    {
+        key: 'plug_access',
+        label: 'Plugs',
+        weight: 0.2,
+        scale: { true: 10, false: 2 },
+    },
+    {
+        key: 'coffee_price',
+        label: 'Price',
+        weight: 0.1,
+        // €1.50 or less scores 10, each extra euro costs ~3 points, floor of 2
+        scale: null,
+    },
+    {
+        key: 'seating',
+        label: 'Seating',
+        weight: 0.15,
+        scale: { plenty: 10, some: 6.5, scarce: 3 },
+    },
+    {
+        key: 'tables',
+        label: 'Tables',
+        weight: 0.1,
+        scale: { spacious: 10, standard: 6.5, cramped: 3 },
+    },
+]);
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * @param {number} price Café con leche price in euros
+ */
+export function priceSubScore(price) {
+    return round1(clamp(10 - (price - 1.5) * 3.2, 2, 10));
+}
+
+/**
+ * @typedef {{
+ *   wifi_speed: string, noise_level: string, plug_access: boolean, coffee_price: number,
+ *   seating?: string, tables?: string,
+ *   score_adjustment?: { points?: number | null, reason?: string | null },
+ * }} ScoredMetrics
+ */
+
+/**
+ * Compute the Casi Score and its breakdown from a spot's metrics.
+ * @param {ScoredMetrics} metrics
+ */
+export function computeCasiScore(metrics) {
+    const breakdown = CASI_SCORE_FACTORS.map(({ key, label, weight, scale }) => {
+        const raw = metrics[key];
+        const rated = raw !== undefined;
+        const value = key === 'coffee_price'
+            ? priceSubScore(/** @type {number} */ (raw))
+            : rated ? scale[String(raw)] ?? UNRATED : UNRATED;
+        return { key, label, weight, rated, value, points: round1(value * weight) };
+    });
+
+    const base = breakdown.reduce((sum, factor) => sum + factor.value * factor.weight, 0);
+    const adjustment = metrics.score_adjustment?.points || 0;
+
+    return {
+        score: round1(clamp(base + adjustment, 1, 10)),
+        base: round1(base),
+        adjustment,
+        reason: adjustment ? metrics.score_adjustment?.reason ?? null : null,
+        breakdown,
+    };
+}
@@ -0,0 +1,240 @@
+// Integrity checks for the spots and authors collections that the Zod schemas
+// in src/content/config.ts cannot express: references between entries and
+// files, duplicates across bundles, and values that parse but are wrong.
+// Run by `npm run lint:content` (scripts/lint-content.mjs) and before every
+// build (astro.config.mjs), which fails on errors and logs warnings.
+// Node only: reads the content directories directly.
+import { readFileSync, readdirSync, existsSync, statSync } from 'node:fs';
+import { join, relative, resolve, dirname, basename } from 'node:path';
+import yaml from 'js-yaml';
+
+export const SPOTS_DIR = 'src/content/spots';
+export const PENDING_DIR = 'src/content/pending';
+export const AUTHORS_DIR = 'src/content/authors';
+
+// Stored originals above this are worth recompressing before committing
+export const MAX_IMAGE_BYTES = 1024 * 1024;
+
+// Madrid municipality, generously rounded
+export const MADRID_BOUNDS = { minLat: 40.31, maxLat: 40.65, minLong: -3.89, maxLong: -3.51 };
+
+// Where the seeder puts a place Google returned without a location (Puerta del Sol)
+const SEEDER_FALLBACK = { lat: 40.416775, long: -3.70379 };
+
+// Two bundles closer than this are the same door
+const DUPLICATE_METERS = 5;
+
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp|avif|gif)$/i;
+const MAP_LINK = /^https?:\/\/(maps\.app\.goo\.gl\/|goo\.gl\/maps\/|maps\.google\.[a-z.]+\/|(www\.)?google\.[a-z.]+\/maps)/i;
+
+/** @typedef {'error' | 'warning'} Severity */
+
+/** @type {Record<string, { severity: Severity, description: string }>} */
+export const LINT_RULES = {
+    'author-unknown': { severity: 'error', description: 'author does not match an entry in src/content/authors' },
+    'author-missing': { severity: 'warning', description: 'no author; the review is credited to "CasiLocal Curators"' },
+    'not-listed': { severity: 'warning', description: 'no cover image: the page is built but the spot is left out of every listing' },
+    'published-missing': { severity: 'warning', description: 'listed spot without published_at: left out of the feeds, undated in the sitemap and exports' },
+    'image-missing': { severity: 'error', description: 'frontmatter points at an image file that does not exist' },
+    'image-oversized': { severity: 'warning', description: `stored image is larger than ${MAX_IMAGE_BYTES / 1024} KB` },
+    'image-unreferenced': { severity: 'warning', description: 'image file in the bundle that no frontmatter field uses' },
+    'alt-missing': { severity: 'error', description: 'image without alt text' },
+    'alt-duplicate': { severity: 'warning', description: 'two images in the bundle share the same alt text' },
+    'coordinates-outside-madrid': { severity: 'error', description: 'metrics.coordinates fall outside Madrid' },
+    'coordinates-fallback': { severity: 'warning', description: "metrics.coordinates are the seeder's placeholder (Puerta del Sol)" },
+    'coordinates-duplicate': { severity: 'error', description: `another bundle is within ${DUPLICATE_METERS} m` },
+    'slug-duplicate': { severity: 'error', description: 'two files resolve to the same spot id' },
+    'slug-pending-clash': { severity: 'warning', description: 'a pending submission already uses this slug and cannot be promoted as is' },
+    'chain-single': { severity: 'warning', description: 'chain is set on one spot only, so there are no branches to link' },
+    'address-url': { severity: 'error', description: 'address is a URL rather than a street address' },
+    'address-link': { severity: 'error', description: 'address is a Google Maps link, which belongs in maps_url' },
+    'maps-url': { severity: 'error', description: 'maps_url is not a Google Maps link' },
+    'maps-url-missing': { severity: 'warning', description: 'no maps_url, so reader reports and duplicate checks cannot match the spot' },
+};
+
+/**
+ * @typedef {{ rule: string, severity: Severity, entry: string, field?: string, message: string }} Issue
+ */
+
+function parseFrontmatter(content) {
+    const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+    return match ? /** @type {Record<string, any>} */ (yaml.load(match[1]) || {}) : null;
+}
+
+// Files under a directory, relative to it
+function listFiles(dir) {
+    if (!existsSync(dir)) return [];
+    return readdirSync(dir, { recursive: true, withFileTypes: true })
+        .filter((entry) => entry.isFile())
+        .map((entry) => relative(dir, join(entry.parentPath ?? entry.path, entry.name)));
+}
+
+// Same ids as the spots collection's generateId in src/content/config.ts
+function spotId(file) {
+    const parts = file.split(/[\\/]/);
+    if (/^index\.mdx?$/.test(parts[parts.length - 1]) && parts.length >= 2) return parts[parts.length - 2];
+    return file.replace(/\.mdx?$/, '');
+}
+
+function distanceMeters(a, b) {
+    const rad = (deg) => (deg * Math.PI) / 180;
+    const h = Math.sin(rad(b.lat - a.lat) / 2) ** 2
+        + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(rad(b.long - a.long) / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Lint every spot bundle and author entry under `root` (the repository).
+ * @param {{ root?: string }} [options]
+ * @returns {{ issues: Issue[], checked: { spots: number, authors: number } }}
+ */
+export function lintContent({ root = process.cwd() } = {}) {
+    /** @type {Issue[]} */
+    const issues = [];
+    const report = (rule, entry, message, field) => {
+        issues.push({ rule, severity: LINT_RULES[rule].severity, entry, ...(field && { field }), message });
+    };
+
+    const spotsDir = resolve(root, SPOTS_DIR);
+    const authorsDir = resolve(root, AUTHORS_DIR);
+
+    // Authors: ids are file names, as the glob loader makes them
+    const authorFiles = listFiles(authorsDir).filter((file) => /\.mdx?$/.test(file));
+    const authorIds = new Set(authorFiles.map((file) => file.replace(/\.mdx?$/, '')));
+    for (const file of authorFiles) {
+        const entry = `authors/${file}`;
+        const data = parseFrontmatter(readFileSync(join(authorsDir, file), 'utf-8')) || {};
+        if (!data.avatar) continue;
+        const avatar = resolve(authorsDir, dirname(file), data.avatar);
+        if (!existsSync(avatar)) {
+            report('image-missing', entry, `avatar ${data.avatar} not found`, 'avatar');
+        } else if (statSync(avatar).size > MAX_IMAGE_BYTES) {
+            report('image-oversized', entry, `${data.avatar} is ${Math.round(statSync(avatar).size / 1024)} KB`, 'avatar');
+        }
+    }
+
+    // Spots: every md/mdx the collection would load (translations excluded)
+    const spotFiles = listFiles(spotsDir).filter((file) => /\.mdx?$/.test(file) && !/\.[a-z]{2}\.mdx?$/.test(file));
+    const ids = new Map();
+    for (const file of spotFiles) {
+        const id = spotId(file).toLowerCase();
+        ids.set(id, [...(ids.get(id) || []), file]);
+    }
+    for (const [id, files] of ids) {
+        if (files.length > 1) report('slug-duplicate', `spots/${files[0]}`, `${files.join(', ')} all resolve to "${id}"`);
+    }
+
+    const pendingSlugs = new Set(existsSync(resolve(root, PENDING_DIR))
+        ? readdirSync(resolve(root, PENDING_DIR), { withFileTypes: true }).filter((entry) => entry.isDirectory()).map((entry) => entry.name)
+        : []);
+
+    /** @type {{ entry: string, coordinates: { lat: number, long: number } }[]} */
+    const located = [];
+    /** @type {Map<string, string[]>} */
+    const chains = new Map();
+
+    for (const file of spotFiles) {
+        const entry = `spots/${file}`;
+        const bundleDir = join(spotsDir, dirname(file));
+        const data = parseFrontmatter(readFileSync(join(spotsDir, file), 'utf-8'));
+        if (!data) continue; // the content schema reports unparseable files
+
+        if (pendingSlugs.has(spotId(file))) {
+            report('slug-pending-clash', entry, `src/content/pending/${spotId(file)}/ has the same slug`);
+        }
+
+        if (!data.author) {
+            report('author-missing', entry, 'no author set', 'author');
+        } else if (!authorIds.has(data.author)) {
+            report('author-unknown', entry, `"${data.author}" is not one of: ${[...authorIds].join(', ')}`, 'author');
+        }
+
+        // Images and their alt text
+        const images = [
+            ...(data.coverImage?.image ? [{ field: 'coverImage', ...data.coverImage }] : []),
+            ...(data.gallery || []).map((item, index) => ({ field: `gallery.${index}`, ...item })),
+        ];
+        if (!data.coverImage?.image) {
+            report('not-listed', entry, 'no coverImage, so it is hidden from /spots/, search, the map, feeds and exports', 'coverImage');
+        } else if (!data.published_at) {
+            report('published-missing', entry, 'set the date the review went live', 'published_at');
+        }
+
+        const referenced = new Set();
+        const alts = new Map();
+        for (const image of images) {
+            if (!image.image) continue;
+            const path = resolve(bundleDir, image.image);
+            referenced.add(path);
+            if (!existsSync(path)) {
+                report('image-missing', entry, `${image.image} not found`, `${image.field}.image`);
+            } else if (statSync(path).size > MAX_IMAGE_BYTES) {
+                report('image-oversized', entry, `${image.image} is ${Math.round(statSync(path).size / 1024)} KB`, `${image.field}.image`);
+            }
+
+            const alt = (image.alt || '').trim();
+            if (!alt) {
+                report('alt-missing', entry, `${image.image} has no alt text`, `${image.field}.alt`);
+            } else if (alts.has(alt)) {
+                report('alt-duplicate', entry, `same alt text as ${alts.get(alt)}`, `${image.field}.alt`);
+            } else {
+                alts.set(alt, image.field);
+            }
+        }
+
+        // Only bundles own their directory; a flat file's neighbours are other spots
+        if (/^index\.mdx?$/.test(basename(file))) {
+            for (const image of listFiles(bundleDir).filter((name) => IMAGE_EXTENSIONS.test(name))) {
+                if (!referenced.has(resolve(bundleDir, image))) {
+                    report('image-unreferenced', entry, `${image} is not used by coverImage or gallery`);
+                }
+            }
+        }
+
+        // Coordinates
+        const coordinates = data.metrics?.coordinates;
+        if (typeof coordinates?.lat === 'number' && typeof coordinates?.long === 'number') {
+            const { minLat, maxLat, minLong, maxLong } = MADRID_BOUNDS;
+            if (coordinates.lat < minLat || coordinates.lat > maxLat || coordinates.long < minLong || coordinates.long > maxLong) {
+                report('coordinates-outside-madrid', entry, `${coordinates.lat}, ${coordinates.long}`, 'metrics.coordinates');
+            } else if (distanceMeters(coordinates, SEEDER_FALLBACK) < 1) {
+                report('coordinates-fallback', entry, 'set the real location', 'metrics.coordinates');
+            } else {
+                const twin = located.find((other) => distanceMeters(other.coordinates, coordinates) < DUPLICATE_METERS);
+                if (twin) {
+                    report('coordinates-duplicate', entry, `${Math.round(distanceMeters(twin.coordinates, coordinates))} m from ${twin.entry}`, 'metrics.coordinates');
+                }
+                located.push({ entry, coordinates });
+            }
+        }
+
+        if (data.chain) chains.set(data.chain, [...(chains.get(data.chain) || []), entry]);
+
+        // Address (street) and maps_url (Google Maps link) are separate fields
+        const address = typeof data.address === 'string' ? data.address.trim() : '';
+        if (/^https?:\/\//i.test(address)) {
+            if (MAP_LINK.test(address)) {
+                report('address-link', entry, `move ${address} to maps_url`, 'address');
+            } else {
+                report('address-url', entry, `${address} is not a street address`, 'address');
+            }
+        }
+        const mapsUrl = typeof data.maps_url === 'string' ? data.maps_url.trim() : '';
+        if (!mapsUrl) {
+            report('maps-url-missing', entry, 'add the Google Maps link', 'maps_url');
+        } else if (!MAP_LINK.test(mapsUrl)) {
+            report('maps-url', entry, `${mapsUrl} is not a Google Maps link`, 'maps_url');
+        }
+    }
+
+    for (const [chain, entries] of chains) {
+        if (entries.length === 1) report('chain-single', entries[0], `no other spot has chain "${chain}"`, 'chain');
+    }
+
+    return { issues, checked: { spots: spotFiles.length, authors: authorFiles.length } };
+}
+
+/** @param {Issue} issue */
+export function formatIssue(issue) {
+    return `${issue.entry}${issue.field ? ` (${issue.field})` : ''}: [${issue.rule}] ${issue.message}`;
+}
@@ -0,0 +1,129 @@
+// Server-only: where the public write endpoints store files, by path from the
+// repository root. With SUBMISSIONS_GITHUB_REPO ("owner/name") and
+// SUBMISSIONS_GITHUB_TOKEN (contents: write on that repository) set, every
+// write is a commit through the GitHub contents API, on SUBMISSIONS_GITHUB_BRANCH
+// or the default branch. That is what the Vercel deployment needs: its disk is
+// read-only and does not outlive the function. Without them files go to the
+// working tree, as in local development.
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+
+const REPO = process.env.SUBMISSIONS_GITHUB_REPO;
+const TOKEN = process.env.SUBMISSIONS_GITHUB_TOKEN;
+const BRANCH = process.env.SUBMISSIONS_GITHUB_BRANCH;
+
+/**
+ * @param {string} message
+ * @param {string} code EEXIST when creating a file that exists, ECONFLICT when
+ *   a file changed since it was read
+ */
+function storeError(message, code) {
+    return Object.assign(new Error(message), { code });
+}
+
+const local = {
+    /** @param {string} path */
+    async read(path) {
+        const file = resolve(path);
+        return existsSync(file) ? { text: readFileSync(file, 'utf-8'), version: undefined } : null;
+    },
+
+    /** @param {string} path */
+    async listDirectories(path) {
+        const dir = resolve(path);
+        if (!existsSync(dir)) return [];
+        return readdirSync(dir, { withFileTypes: true }).filter((entry) => entry.isDirectory()).map((entry) => entry.name);
+    },
+
+    /** @param {string} path @param {string} text */
+    async create(path, text) {
+        const file = resolve(path);
+        mkdirSync(dirname(file), { recursive: true });
+        // `wx` fails with EEXIST rather than overwrite
+        writeFileSync(file, text, { encoding: 'utf-8', flag: 'wx' });
+    },
+
+    /** @param {string} path @param {string} text */
+    async update(path, text) {
+        const file = resolve(path);
+        mkdirSync(dirname(file), { recursive: true });
+        writeFileSync(file, text, 'utf-8');
+    },
+};
+
+/**
+ * @param {string} path
+ * @param {RequestInit} [init]
+ */
+function contents(path, init = {}) {
+    const url = new URL(`https://api.github.com/repos/${REPO}/contents/${path.split('/').map(encodeURIComponent).join('/')}`);
+    if (BRANCH && !init.method) url.searchParams.set('ref', BRANCH);
+    return fetch(url, {
+        ...init,
+        headers: {
+            Accept: 'application/vnd.github+json',
+            Authorization: `Bearer ${TOKEN}`,
+            'X-GitHub-Api-Version': '2022-11-28',
+            'User-Agent': 'casilocal-submissions',
+        },
+    });
+}
+
+/**
+ * @param {string} path
+ * @param {string} text
+ * @param {string} [sha] Blob the commit replaces; omitted for a new file
+ */
+async function commit(path, text, sha) {
+    const response = await contents(path, {
+        method: 'PUT',
+        body: JSON.stringify({
+            message: `${sha ? 'Update' : 'Add'} ${path}`,
+            content: Buffer.from(text, 'utf-8').toString('base64'),
+            ...(sha && { sha }),
+            ...(BRANCH && { branch: BRANCH }),
+        }),
+    });
+    if (response.ok) return;
+    // 422 without a sha: the file already exists. 409: it moved on since it was read
+    if (response.status === 422 && !sha) throw storeError(`${path} already exists`, 'EEXIST');
+    if (response.status === 409) throw storeError(`${path} changed since it was read`, 'ECONFLICT');
+    throw new Error(`GitHub contents API: ${response.status} ${response.statusText} for ${path}`);
+}
+
+const github = {
+    /** @param {string} path */
+    async read(path) {
+        const response = await contents(path);
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`GitHub contents API: ${response.status} ${response.statusText} for ${path}`);
+        const file = await response.json();
+        return { text: Buffer.from(file.content, 'base64').toString('utf-8'), version: /** @type {string} */ (file.sha) };
+    },
+
+    /** @param {string} path */
+    async listDirectories(path) {
+        const response = await contents(path);
+        if (response.status === 404) return [];
+        if (!response.ok) throw new Error(`GitHub contents API: ${response.status} ${response.statusText} for ${path}`);
+        const entries = /** @type {{ name: string, type: string }[]} */ (await response.json());
+        return entries.filter((entry) => entry.type === 'dir').map((entry) => entry.name);
+    },
+
+    /** @param {string} path @param {string} text */
+    create: (path, text) => commit(path, text),
+
+    /** @param {string} path @param {string} text @param {string} [version] */
+    update: (path, text, version) => commit(path, text, version),
+};
+
+/**
+ * The store in use.
+ * @type {{
+ *   read(path: string): Promise<{ text: string, version: string | undefined } | null>,
+ *   listDirectories(path: string): Promise<string[]>,
+ *   create(path: string, text: string): Promise<void>,
+ *   update(path: string, text: string, version?: string): Promise<void>,
+ * }}
+ */
+export const contentStore = REPO && TOKEN ? github : local;
@@ -0,0 +1,63 @@
+// Distance helpers for the "near me" mode of the spots index.
+import { findStation } from './metro-stations.js';
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Madrid's street grid makes real walks longer than the straight line;
+// 1.3 is a common detour factor for dense European centres.
+const WALKING_DETOUR_FACTOR = 1.3;
+
+/** @typedef {{ lat: number, long: number }} Coordinates */
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance in meters.
+ * @param {Coordinates} a
+ * @param {Coordinates} b
+ */
+export function haversineMeters(a, b) {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLong = toRadians(b.long - a.long);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLong / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Approximate walking distance in meters.
+ * @param {Coordinates} a
+ * @param {Coordinates} b
+ */
+export function walkingMeters(a, b) {
+    return haversineMeters(a, b) * WALKING_DETOUR_FACTOR;
+}
+
+/**
+ * "650 m" below a kilometer, "1.2 km" above.
+ * @param {number} meters
+ */
+export function formatDistance(meters) {
+    if (meters < 1000) return `${Math.round(meters / 10) * 10} m`;
+    return `${(meters / 1000).toFixed(1)} km`;
+}
+
+/**
+ * Parse the `from` URL param: a metro station slug or "lat,long".
+ * @param {string | null} value
+ * @param {{ station: string, custom: string }} labels In the page's language
+ *   ('filter.originStation' and 'filter.originCustom' in src/lib/i18n.js)
+ * @returns {(Coordinates & { label: string }) | null}
+ */
+export function parseOrigin(value, labels) {
+    if (!value) return null;
+
+    const station = findStation(value);
+    if (station) return { lat: station.lat, long: station.long, label: `${labels.station} ${station.name}` };
+
+    const [lat, long] = value.split(',').map(Number);
+    if (Number.isFinite(lat) && Number.isFinite(long) && Math.abs(lat) <= 90 && Math.abs(long) <= 180) {
+        return { lat, long, label: labels.custom };
+    }
+    return null;
+}
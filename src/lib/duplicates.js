@@ -0,0 +1,177 @@
+// Duplicate and chain detection for spots. Two entries are the same place when
+// their Google Maps links resolve to the same place (mapsKey), or when their
+// cleaned names match and they sit within SAME_PLACE_METERS of each other;
+// matching names further apart are branches of one chain, which is fine and
+// is recorded with the spot's `chain` field. Used by the bot's `npm run
+// duplicates`, `npm run merge` and the seeder.
+import { haversineMeters } from './distance.js';
+import { mapsKey } from './submissions.js';
+import { NEIGHBORHOODS } from './neighborhoods.js';
+
+// Farther apart than this, two spots with the same name are different branches
+// (Google pins for one venue drift by a few dozen meters between sources)
+export const SAME_PLACE_METERS = 75;
+
+// Different names this close together are worth a look (a rename, or the
+// cleaned name and Google's listing name disagreeing)
+export const NEIGHBOUR_METERS = 15;
+
+// Dice similarity of the cleaned names at or above which they are one name
+export const NAME_SIMILARITY = 0.85;
+
+/** @typedef {'same-place' | 'likely-duplicate' | 'branch'} MatchKind */
+
+/**
+ * @typedef {{
+ *   slug: string,
+ *   title: string,
+ *   coordinates?: { lat: number, long: number },
+ *   mapsKeys?: string[],
+ *   chain?: string,
+ * }} Candidate
+ */
+
+/**
+ * @typedef {{ kind: MatchKind, a: string, b: string, meters: number | null, similarity: number, reason: string }} Match
+ */
+
+// Words that say what a place is or where it is, not which place it is
+const GENERIC_WORDS = new Set([
+    'cafe', 'cafes', 'cafeteria', 'coffee', 'specialty', 'speciality', 'especialidad', 'de', 'del', 'la', 'el', 'the',
+    'and', 'y', 'shop', 'bar', 'brunch', 'dinner', 'roasters', 'tostadores', 'bakery', 'to', 'stay', 'madrid', 'spain', 'gran', 'via',
+]);
+
+const LOCATION_WORDS = new Set(Object.values(NEIGHBORHOODS)
+    .flatMap((neighborhood) => [neighborhood.name, ...neighborhood.aliases])
+    .flatMap((name) => words(name)));
+
+function words(text) {
+    return text
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/&/g, ' and ')
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+/**
+ * The distinctive part of a venue name: "EatMyTrip Gran Via - Specialty
+ * Coffee & Brunch Madrid" -> "eatmytrip", "Toma Café 1" -> "toma".
+ * Falls back to every word when nothing distinctive is left.
+ * @param {string} name
+ */
+export function cleanName(name) {
+    // Google listing names append taglines after a separator
+    const head = name.split(/\s[|–—-]\s|\s?[|(/]/)[0] || name;
+    const all = words(head);
+    const distinctive = all.filter((word) => !GENERIC_WORDS.has(word) && !LOCATION_WORDS.has(word) && !/^\d+(\.\d+)?$/.test(word));
+    return (distinctive.length > 0 ? distinctive : all).join(' ');
+}
+
+// Sørensen–Dice over character bigrams, ignoring spaces ("eat my trip" = "eatmytrip")
+function bigrams(text) {
+    const compact = text.replace(/\s+/g, '');
+    const pairs = [];
+    for (let i = 0; i < compact.length - 1; i++) pairs.push(compact.slice(i, i + 2));
+    return pairs.length > 0 ? pairs : [compact];
+}
+
+/**
+ * Similarity of two names after cleaning, from 0 to 1.
+ * @param {string} a
+ * @param {string} b
+ */
+export function nameSimilarity(a, b) {
+    const x = bigrams(cleanName(a));
+    const y = bigrams(cleanName(b));
+    const remaining = [...y];
+    let shared = 0;
+    for (const pair of x) {
+        const index = remaining.indexOf(pair);
+        if (index !== -1) {
+            shared++;
+            remaining.splice(index, 1);
+        }
+    }
+    return (2 * shared) / (x.length + y.length);
+}
+
+/**
+ * How two candidates relate, or null when they are unrelated.
+ * @param {Candidate} a
+ * @param {Candidate} b
+ * @returns {Match | null}
+ */
+export function compareCandidates(a, b) {
+    const meters = a.coordinates && b.coordinates ? haversineMeters(a.coordinates, b.coordinates) : null;
+    const similarity = nameSimilarity(a.title, b.title);
+    const match = (kind, reason) => ({ kind, a: a.slug, b: b.slug, meters, similarity, reason });
+
+    const keys = new Set((a.mapsKeys || []).filter((key) => key.startsWith('cid:')));
+    const sharedKey = (b.mapsKeys || []).find((key) => keys.has(key));
+    if (sharedKey) return match('same-place', `same Google place (${sharedKey})`);
+
+    if (similarity >= NAME_SIMILARITY) {
+        if (meters === null || meters <= SAME_PLACE_METERS) return match('likely-duplicate', 'same name at the same address');
+        return match('branch', 'same name at another address');
+    }
+    if (meters !== null && meters <= NEIGHBOUR_METERS && similarity >= 0.5) {
+        return match('likely-duplicate', 'similar name at the same address');
+    }
+    return null;
+}
+
+/**
+ * Every related pair among `candidates`, duplicates first.
+ * @param {Candidate[]} candidates
+ * @returns {Match[]}
+ */
+export function findMatches(candidates) {
+    const order = { 'same-place': 0, 'likely-duplicate': 1, branch: 2 };
+    const matches = [];
+    for (let i = 0; i < candidates.length; i++) {
+        for (let j = i + 1; j < candidates.length; j++) {
+            const match = compareCandidates(candidates[i], candidates[j]);
+            if (match) matches.push(match);
+        }
+    }
+    return matches.sort((x, y) => order[x.kind] - order[y.kind] || x.a.localeCompare(y.a));
+}
+
+/**
+ * Branch matches grouped into chains: every slug linked by a branch match,
+ * directly or through another branch, ends up in the same group.
+ * @param {Match[]} matches
+ * @returns {string[][]}
+ */
+export function chainGroups(matches) {
+    /** @type {Map<string, string>} */
+    const parent = new Map();
+    const find = (slug) => {
+        while (parent.get(slug) !== slug) slug = /** @type {string} */ (parent.get(slug));
+        return slug;
+    };
+    for (const { a, b } of matches.filter((match) => match.kind === 'branch')) {
+        if (!parent.has(a)) parent.set(a, a);
+        if (!parent.has(b)) parent.set(b, b);
+        parent.set(find(a), find(b));
+    }
+
+    /** @type {Map<string, string[]>} */
+    const groups = new Map();
+    for (const slug of parent.keys()) {
+        const root = find(slug);
+        groups.set(root, [...(groups.get(root) || []), slug].sort());
+    }
+    return [...groups.values()].sort((x, y) => x[0].localeCompare(y[0]));
+}
+
+/**
+ * Keys for a spot's Google Maps identity, from its address (when that is a
+ * map link) and any other links on record for it.
+ * @param {(string | undefined)[]} links
+ */
+export function candidateKeys(links) {
+    return [...new Set(links.filter((link) => typeof link === 'string' && /^https?:\/\//i.test(link)).map((link) => mapsKey(/** @type {string} */ (link))))];
+}
@@ -0,0 +1,200 @@
+// Public data exports: /data/spots.json, /data/spots.geojson and
+// /data/spots.csv (src/pages/data/). All three are built from the same
+// records, so a field means the same thing in every format.
+//
+// Bump EXPORT_SCHEMA_VERSION whenever a field is renamed, removed or changes
+// meaning; adding a field is not a breaking change. Records are keyed by the
+// bundle slug, which is also the spot's URL and never reused.
+import { getCollection, type CollectionEntry } from 'astro:content';
+import { getImage } from 'astro:assets';
+import type { ImageMetadata } from 'astro';
+import { isListed, LISTING_RULE } from './listing.js';
+
+export const EXPORT_SCHEMA_VERSION = 2;
+
+export const EXPORT_LICENSE = 'Reviews and photos © CasiLocal. Data may be reused with attribution and a link to the spot page.';
+
+type Spot = CollectionEntry<'spots'>;
+
+interface ExportImage {
+    url: string;
+    alt: string | null;
+    source: string | null;
+}
+
+export interface SpotRecord {
+    id: string;
+    url: string;
+    title: string;
+    neighborhood: { id: string; name: string };
+    // Shared by every branch of the same business
+    chain: string | null;
+    published_at: string | null;
+    updated_at: string | null;
+    address: string | null;
+    maps_url: string | null;
+    coordinates: { lat: number; long: number };
+    metrics: {
+        casi_score: number;
+        wifi_speed: Spot['data']['metrics']['wifi_speed'];
+        noise_level: Spot['data']['metrics']['noise_level'];
+        plug_access: boolean;
+        coffee_price: number;
+        seating: string | null;
+        tables: string | null;
+    };
+    rent_score: string;
+    hours: Spot['data']['hours'] | null;
+    laptop_policy: Spot['data']['laptop_policy'] | null;
+    wifi_time_limit: number | null;
+    author: { id: string; name: string; role: string; avatar: string } | null;
+    cover_image: ExportImage | null;
+    gallery: ExportImage[];
+}
+
+export interface ExportMeta {
+    schema_version: number;
+    generated_at: string;
+    source: string;
+    listing_rule: string;
+    license: string;
+    count: number;
+}
+
+// Originals are not guaranteed to be emitted by the build, so export a
+// processed copy that is (also used by the feeds)
+export async function imageUrl(src: ImageMetadata, site: URL, width: number) {
+    const image = await getImage({ src, format: 'jpg', width: Math.min(width, src.width), quality: 80 });
+    return new URL(image.src, site).href;
+}
+
+const isoDay = (date: Date | undefined) => date ? date.toISOString().slice(0, 10) : null;
+
+async function exportImage(item: { image: ImageMetadata; alt?: string; source?: string }, site: URL): Promise<ExportImage> {
+    return {
+        url: await imageUrl(item.image, site, 1600),
+        alt: item.alt || null,
+        source: item.source || null,
+    };
+}
+
+/**
+ * Every listed spot as an export record, sorted by id.
+ */
+export async function exportRecords(site: URL): Promise<{ meta: ExportMeta; records: SpotRecord[] }> {
+    const spots = (await getCollection('spots')).filter(isListed).sort((a, b) => a.id.localeCompare(b.id));
+    const authors = new Map((await getCollection('authors')).map((author) => [author.id, author]));
+
+    const records = await Promise.all(spots.map(async ({ id, data }): Promise<SpotRecord> => {
+        const author = data.author ? authors.get(data.author) : undefined;
+        return {
+            id,
+            url: new URL(`/spots/${id}/`, site).href,
+            title: data.title,
+            neighborhood: { id: data.neighborhood, name: data.neighborhoodName },
+            chain: data.chain ?? null,
+            published_at: isoDay(data.published_at),
+            updated_at: isoDay(data.updated_at),
+            address: data.address || null,
+            maps_url: data.maps_url ?? null,
+            coordinates: data.metrics.coordinates,
+            metrics: {
+                casi_score: data.metrics.casi_score,
+                wifi_speed: data.metrics.wifi_speed,
+                noise_level: data.metrics.noise_level,
+                plug_access: data.metrics.plug_access,
+                coffee_price: data.metrics.coffee_price,
+                seating: data.metrics.seating || null,
+                tables: data.metrics.tables || null,
+            },
+            rent_score: data.rentScore,
+            hours: data.hours || null,
+            laptop_policy: data.laptop_policy || null,
+            wifi_time_limit: data.wifi_time_limit ?? null,
+            author: author ? {
+                id: author.id,
+                name: author.data.name,
+                role: author.data.role,
+                avatar: await imageUrl(author.data.avatar, site, 256),
+            } : null,
+            cover_image: data.coverImage ? await exportImage(data.coverImage, site) : null,
+            gallery: await Promise.all((data.gallery || []).map((item) => exportImage(item, site))),
+        };
+    }));
+
+    return {
+        meta: {
+            schema_version: EXPORT_SCHEMA_VERSION,
+            generated_at: new Date().toISOString(),
+            source: site.href,
+            listing_rule: LISTING_RULE,
+            license: EXPORT_LICENSE,
+            count: records.length,
+        },
+        records,
+    };
+}
+
+/**
+ * RFC 7946 FeatureCollection; the export metadata rides along as foreign members.
+ */
+export function toGeoJSON(meta: ExportMeta, records: SpotRecord[]) {
+    return {
+        type: 'FeatureCollection',
+        ...meta,
+        features: records.map(({ coordinates, ...properties }) => ({
+            type: 'Feature',
+            id: properties.id,
+            geometry: { type: 'Point', coordinates: [coordinates.long, coordinates.lat] },
+            properties,
+        })),
+    };
+}
+
+// Flat columns only: hours, laptop policy and the gallery are in the JSON exports
+export const CSV_COLUMNS: [string, (record: SpotRecord) => string | number | boolean | null][] = [
+    ['id', (r) => r.id],
+    ['url', (r) => r.url],
+    ['title', (r) => r.title],
+    ['neighborhood', (r) => r.neighborhood.id],
+    ['neighborhood_name', (r) => r.neighborhood.name],
+    ['address', (r) => r.address],
+    ['maps_url', (r) => r.maps_url],
+    ['lat', (r) => r.coordinates.lat],
+    ['long', (r) => r.coordinates.long],
+    ['casi_score', (r) => r.metrics.casi_score],
+    ['wifi_speed', (r) => r.metrics.wifi_speed],
+    ['noise_level', (r) => r.metrics.noise_level],
+    ['plug_access', (r) => r.metrics.plug_access],
+    ['coffee_price', (r) => r.metrics.coffee_price],
+    ['seating', (r) => r.metrics.seating],
+    ['tables', (r) => r.metrics.tables],
+    ['rent_score', (r) => r.rent_score],
+    ['wifi_time_limit', (r) => r.wifi_time_limit],
+    ['author', (r) => r.author?.id ?? null],
+    ['author_name', (r) => r.author?.name ?? null],
+    ['cover_image_url', (r) => r.cover_image?.url ?? null],
+    ['cover_image_alt', (r) => r.cover_image?.alt ?? null],
+    ['schema_version', () => EXPORT_SCHEMA_VERSION],
+    // Appended so existing column positions hold within a schema version
+    ['published_at', (r) => r.published_at],
+    ['updated_at', (r) => r.updated_at],
+    ['chain', (r) => r.chain],
+];
+
+function csvCell(value: string | number | boolean | null) {
+    if (value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * RFC 4180 CSV with a header row and CRLF line endings.
+ */
+export function toCSV(records: SpotRecord[]) {
+    const rows = [
+        CSV_COLUMNS.map(([name]) => name),
+        ...records.map((record) => CSV_COLUMNS.map(([, value]) => csvCell(value(record)))),
+    ];
+    return rows.map((row) => row.join(',')).join('\r\n') + '\r\n';
+}
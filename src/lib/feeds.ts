@@ -0,0 +1,227 @@
+// RSS 2.0, Atom and JSON Feed for new spots: site-wide (/feed.*), per author
+// (/authors/<id>/feed.*) and per neighborhood (/neighborhoods/<slug>/feed.*).
+// Every format is rendered from the same Feed, newest published_at first.
+// Listed spots only (src/lib/listing.js); a spot without published_at is left
+// out until it has one (see `npm run backfill:dates` in bot/).
+import { getCollection, type CollectionEntry } from 'astro:content';
+import { imageUrl } from './export';
+import { isListed } from './listing.js';
+import { escapeXml, reviewExcerpt } from './text.js';
+import { DEFAULT_LOCALE, useTranslations } from './i18n.js';
+
+// Most recent items per feed; readers only need what is new since they last looked
+export const FEED_LIMIT = 50;
+
+export const FEED_FORMATS = {
+    xml: { type: 'application/rss+xml', label: 'RSS' },
+    atom: { type: 'application/atom+xml', label: 'Atom' },
+    json: { type: 'application/feed+json', label: 'JSON Feed' },
+} as const;
+
+export type FeedFormat = keyof typeof FEED_FORMATS;
+
+export const FEED_FORMAT_KEYS = Object.keys(FEED_FORMATS) as FeedFormat[];
+
+// Title and extension-less path, as advertised by Layout.astro's autodiscovery links
+export const SITE_FEED = { title: 'CasiLocal: new spots', path: '/feed' };
+
+export function authorFeed(id: string, name: string) {
+    return { title: `CasiLocal: reviews by ${name}`, path: `/authors/${id}/feed` };
+}
+
+interface FeedItem {
+    id: string;
+    url: string;
+    title: string;
+    published: Date;
+    updated: Date;
+    author: { name: string; url: string } | null;
+    neighborhood: string;
+    image: { url: string; alt: string } | null;
+    metrics: string;
+    excerpt: string;
+}
+
+interface Feed {
+    title: string;
+    description: string;
+    homePage: string;
+    // Feed URL without the format extension ("https://…/authors/sara/feed")
+    self: string;
+    updated: Date;
+    items: FeedItem[];
+}
+
+type Spot = CollectionEntry<'spots'>;
+
+const t = useTranslations(DEFAULT_LOCALE);
+
+// "Casi Score 7.5/10 · WiFi Speed: reliable · …", the sidebar's metrics on one line
+function metricSummary({ metrics }: Spot['data']) {
+    return [
+        `Casi Score ${metrics.casi_score}/10`,
+        `${t('sidebar.wifi')}: ${t(`wifi.${metrics.wifi_speed}`)}`,
+        `${t('sidebar.noise')}: ${t(`noiseLabel.${metrics.noise_level}`)}`,
+        `${t('sidebar.plugs')}: ${metrics.plug_access ? t('sidebar.yes') : t('sidebar.no')}`,
+        `Coffee: €${metrics.coffee_price.toFixed(2)}`,
+    ].join(' · ');
+}
+
+/**
+ * Feed of the listed, dated spots that pass `filter`.
+ */
+export async function buildFeed(
+    site: URL,
+    { title, description, homePage, self, filter = () => true }: {
+        title: string;
+        description: string;
+        homePage: string;
+        self: string;
+        filter?: (spot: Spot) => boolean;
+    },
+): Promise<Feed> {
+    const authors = new Map((await getCollection('authors')).map((author) => [author.id, author]));
+    const spots = (await getCollection('spots'))
+        .filter((spot) => isListed(spot) && !!spot.data.published_at && filter(spot))
+        .sort((a, b) => b.data.published_at!.getTime() - a.data.published_at!.getTime() || a.id.localeCompare(b.id))
+        .slice(0, FEED_LIMIT);
+
+    const items = await Promise.all(spots.map(async ({ id, data, body }): Promise<FeedItem> => {
+        const author = data.author ? authors.get(data.author) : undefined;
+        const published = data.published_at!;
+        return {
+            id,
+            url: new URL(`/spots/${id}/`, site).href,
+            title: `${data.title} (${data.neighborhoodName})`,
+            published,
+            updated: data.updated_at && data.updated_at > published ? data.updated_at : published,
+            author: author ? { name: author.data.name, url: new URL(`/authors/${author.id}/`, site).href } : null,
+            neighborhood: data.neighborhoodName,
+            image: data.coverImage ? {
+                url: await imageUrl(data.coverImage.image, site, 1200),
+                alt: data.coverImage.alt || data.title,
+            } : null,
+            metrics: metricSummary(data),
+            excerpt: reviewExcerpt(body || ''),
+        };
+    }));
+
+    return {
+        title,
+        description,
+        homePage: new URL(homePage, site).href,
+        self: new URL(self, site).href,
+        // An empty feed (an author with nothing published yet) is as fresh as the build
+        updated: items.length > 0
+            ? items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), items[0].updated)
+            : new Date(),
+        items,
+    };
+}
+
+// Body shared by the RSS description, Atom content and JSON Feed content_html
+function itemHtml(item: FeedItem) {
+    return [
+        item.image && `<p><img src="${escapeXml(item.image.url)}" alt="${escapeXml(item.image.alt)}" /></p>`,
+        `<p><strong>${escapeXml(item.metrics)}</strong></p>`,
+        `<p>${escapeXml(item.excerpt)}</p>`,
+        `<p><a href="${escapeXml(item.url)}">Read the full review</a></p>`,
+    ].filter(Boolean).join('');
+}
+
+function toRSS(feed: Feed) {
+    const items = feed.items.map((item) => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.url)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>${item.author ? `
+      <dc:creator>${escapeXml(item.author.name)}</dc:creator>` : ''}
+      <category>${escapeXml(item.neighborhood)}</category>
+      <description>${escapeXml(itemHtml(item))}</description>
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homePage)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${DEFAULT_LOCALE}</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(`${feed.self}.xml`)}" rel="self" type="${FEED_FORMATS.xml.type}" />${items}
+  </channel>
+</rss>
+`;
+}
+
+function toAtom(feed: Feed) {
+    const entries = feed.items.map((item) => `
+  <entry>
+    <id>${escapeXml(item.url)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>${item.author ? `
+    <author><name>${escapeXml(item.author.name)}</name><uri>${escapeXml(item.author.url)}</uri></author>` : ''}
+    <category term="${escapeXml(item.neighborhood)}" />
+    <summary type="text">${escapeXml(`${item.metrics}. ${item.excerpt}`)}</summary>
+    <content type="html">${escapeXml(itemHtml(item))}</content>
+  </entry>`).join('');
+
+    // Atom requires an author on the feed when an entry has none
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${DEFAULT_LOCALE}">
+  <id>${escapeXml(`${feed.self}.atom`)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author><name>CasiLocal</name></author>
+  <link rel="self" type="${FEED_FORMATS.atom.type}" href="${escapeXml(`${feed.self}.atom`)}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homePage)}" />${entries}
+</feed>
+`;
+}
+
+function toJSONFeed(feed: Feed) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.homePage,
+        feed_url: `${feed.self}.json`,
+        description: feed.description,
+        language: DEFAULT_LOCALE,
+        items: feed.items.map((item) => ({
+            id: item.url,
+            url: item.url,
+            title: item.title,
+            summary: item.metrics,
+            content_text: item.excerpt,
+            content_html: itemHtml(item),
+            image: item.image?.url,
+            date_published: item.published.toISOString(),
+            date_modified: item.updated.toISOString(),
+            authors: item.author ? [item.author] : undefined,
+            tags: [item.neighborhood],
+        })),
+    }, null, 2);
+}
+
+const SERIALIZERS: Record<FeedFormat, (feed: Feed) => string> = {
+    xml: toRSS,
+    atom: toAtom,
+    json: toJSONFeed,
+};
+
+export function feedResponse(feed: Feed, format: FeedFormat) {
+    return new Response(SERIALIZERS[format](feed), {
+        headers: { 'Content-Type': `${FEED_FORMATS[format].type}; charset=utf-8` },
+    });
+}
+
+/**
+ * One static path per format, for `feed.[format].ts` endpoints.
+ */
+export function feedFormatPaths<Params extends Record<string, string>, Props>(params: Params, props: Props) {
+    return FEED_FORMAT_KEYS.map((format) => ({ params: { ...params, format }, props }));
+}
@@ -0,0 +1,523 @@
+// Locales, localized routes and UI strings. English lives at the root, Spanish
+// under /es/ (Astro i18n, configured from these constants in astro.config.mjs).
+// Only the directory itself is translated (home, /spots/, spot pages); every
+// other page stays English and localizePath() leaves links to it untouched.
+
+export const DEFAULT_LOCALE = 'en';
+export const LOCALES = /** @type {const} */ (['en', 'es']);
+
+/** @typedef {typeof LOCALES[number]} Locale */
+
+/** @type {Record<Locale, string>} */
+export const LOCALE_NAMES = {
+    en: 'English',
+    es: 'Español',
+};
+
+// Paths (without locale prefix) that exist in every locale
+const LOCALIZED_ROUTES = [/^\/$/, /^\/spots\/([^/]+\/)?$/];
+
+/**
+ * @param {string | undefined} value
+ * @returns {Locale}
+ */
+export function toLocale(value) {
+    return LOCALES.includes(/** @type {Locale} */ (value)) ? /** @type {Locale} */ (value) : DEFAULT_LOCALE;
+}
+
+/** @param {string} path Unprefixed path, e.g. "/spots/" */
+export function isLocalizedRoute(path) {
+    return LOCALIZED_ROUTES.some((route) => route.test(path.split('?')[0]));
+}
+
+/**
+ * Prefix a site path for `locale` when that page exists in it.
+ * @param {string} path Unprefixed path, may carry a query string
+ * @param {string | undefined} locale
+ */
+export function localizePath(path, locale) {
+    const target = toLocale(locale);
+    if (target === DEFAULT_LOCALE || !isLocalizedRoute(path)) return path;
+    return `/${target}${path}`;
+}
+
+/**
+ * Split a pathname into its locale and the unprefixed path.
+ * @param {string} pathname
+ * @returns {{ locale: Locale, path: string }}
+ */
+export function unlocalizePath(pathname) {
+    const [, first, ...rest] = pathname.split('/');
+    const locale = /** @type {Locale} */ (first);
+    if (locale !== DEFAULT_LOCALE && LOCALES.includes(locale)) {
+        return { locale, path: `/${rest.join('/')}` };
+    }
+    return { locale: DEFAULT_LOCALE, path: pathname };
+}
+
+/**
+ * Every locale version of `pathname`, for hreflang links and the language
+ * switch. Empty when the page only exists in English.
+ * @param {string} pathname
+ * @param {readonly Locale[]} [available] Locales the page's content is written
+ *   in, when not all of them (a spot without a translation is English only)
+ */
+export function alternates(pathname, available = LOCALES) {
+    const { path } = unlocalizePath(pathname);
+    if (!isLocalizedRoute(path)) return [];
+    const versions = LOCALES.filter((locale) => available.includes(locale));
+    return versions.length > 1 ? versions.map((locale) => ({ locale, path: localizePath(path, locale) })) : [];
+}
+
+const UI = {
+    en: {
+        'site.description': "The curated guide to Madrid's best spots for digital nomads.",
+        'nav.spots': 'Our Favourite Spots',
+        'nav.about': 'About',
+        'nav.faq': 'FAQ',
+        'nav.home': 'Home',
+        'nav.submit': 'Submit a Spot',
+        'nav.menu': 'Toggle Navigation Menu',
+        'nav.menuButton': 'Menu',
+        'nav.language': 'Language',
+        'search.label': 'Search spots',
+        'search.placeholder': 'Search spots…',
+        'footer.tagline': "The curated guide to Madrid's best spots for digital nomads. Real reviews, honest metrics.",
+        'footer.navigate': 'Navigate',
+        'footer.lists': 'Quick Lists',
+        'footer.fastWifi': 'Fastest Wifi',
+        'footer.quiet': 'Quiet Zones',
+        'footer.power': 'Power Ready',
+        'footer.deepWork': 'Deep Work',
+        'footer.casual': 'Casual Work',
+        'footer.involved': 'Get Involved',
+        'footer.involvedText': 'Found a spot we missed? Have feedback? We want to hear from you.',
+        'footer.submitAria': 'Navigate to submit a spot page',
+        'footer.privacy': 'Privacy',
+        'footer.terms': 'Terms',
+
+        'home.title': 'CasiLocal | The Directory for Remote Work in Madrid',
+        'hero.titleStart': 'The Curated Directory for',
+        'hero.titleEmphasis': 'Remote Work',
+        'hero.titleEnd': 'in Madrid.',
+        'hero.lede': 'Find the best spots for remote work and study in Madrid. We curate laptop-friendly cafes, quiet workspaces, and coffee shops with reliable WiFi.',
+        'hero.prompt': 'Find your favourite spot ↓',
+        'hero.cta': 'Look through our favourites',
+        'hero.about': 'or learn more about us',
+        'featured.description': 'A top-rated workspace in {neighborhood} with {wifi} internet, {noise} acoustics, and a Casi Score of {score}/10.',
+        'featured.imageAlt': 'Interior of {title}',
+        'featured.noImage': 'No Image Available',
+        'featured.kicker': "Editor's Pick · {neighborhood}",
+        'featured.titleEnd': 'The Gold Standard for',
+        'featured.titleEmphasis': 'Deep Work',
+        'featured.speed': 'Speed',
+        'featured.noise': 'Noise',
+        'featured.power': 'Power',
+        'featured.powerYes': 'Yes',
+        'featured.powerLimited': 'Limited',
+        'featured.read': 'Read the Analysis',
+        'stacks.heading': 'We Care About',
+        'stacks.power': 'The Infrastructure',
+        'stacks.powerNote': '(Power)',
+        'stacks.powerText': 'A dead battery kills flow. We verify accessible outlets at every spot, ensuring you can push through the longest sessions without anxiety.',
+        'stacks.powerLink': 'Browse Power-Ready Spots',
+        'stacks.noise': 'The Acoustics',
+        'stacks.noiseNote': '(Noise)',
+        'stacks.noiseText': 'From pin-drop silence to the energetic hum of an espresso machine. Choose the acoustic environment that matches your current deep work mode.',
+        'stacks.library': 'Library',
+        'stacks.buzz': 'Cafe Buzz',
+        'stacks.territories': 'The Territories',
+        'stacks.territoriesNote': '(Neighborhoods)',
+        'stacks.locations': '{count} Locations',
+        'method.heading': 'How We Audit.',
+        'method.intro': 'We reject the 5-star system. Our audit focuses on the',
+        'method.focus': 'Infrastructure of Focus',
+        'method.introEnd': 'We test download/upload speeds (Flynet Certification), measure decibel levels during peak hours, and verify electrical availability. If a table wobbles, it is excluded.',
+        'method.formula': 'The Casi Score, in full.',
+        'method.formulaText': "Every metric becomes a 0-10 sub-score; the Casi Score is their weighted sum. Seating and tables we haven't rated yet count as 6. An editor may move the result by at most ±{max} points, and only with a written justification shown on the spot's page.",
+        'method.metric': 'Metric',
+        'method.weight': 'Weight',
+        'method.subScore': 'Sub-score',
+        'method.price': '€1.50 or less 10, minus 3.2 per extra euro, floor 2',
+        'submit.heading': 'Know a Hidden Gem?',
+        'submit.lede': 'We accept spaces that honor both the work and the coffee. No chains. No libraries. Just hidden gems.',
+        'submit.received': 'Received',
+        'submit.receivedText': 'Your transmission has been logged. Our curators will verify the data within 48 hours.',
+        'submit.again': 'Submit Another',
+        'submit.link': '01. Google Maps Link',
+        'submit.linkPlaceholder': 'Paste URL here...',
+        'submit.assessment': '02. Assessment',
+        'submit.wifi': 'WiFi Performance',
+        'submit.acoustics': 'Acoustics',
+        'submit.power': 'Power Access',
+        'submit.coffee': 'Coffee Quality',
+        'submit.briefing': '03. The Briefing',
+        'submit.briefingPlaceholder': 'What is the best seat? When does it get busy? Is the AC too cold?',
+        'submit.remaining': '{count} characters remaining',
+        'submit.send': 'Submit Report',
+        'submit.sending': 'Transmitting...',
+        'submit.failed': 'Transmission failed: ',
+        'submit.error': 'Something went wrong!',
+        'submit.verify': 'We manually verify every submission before listing.',
+
+        'spots.title': 'Our Favourite Spots',
+        'spots.description': "A curated index of Madrid's best cafes, bars, and coworking spots for digital nomads.",
+        'spots.headingStart': 'Our Favourite',
+        'spots.headingEmphasis': 'Spots',
+        'spots.lede': "Every cafe, bar, and hidden gem we've tested. Filtered by wifi speed, noise level, and plug access.",
+        'spots.view': 'Choose view',
+        'spots.list': 'List',
+        'spots.map': 'Map',
+        'spots.mapLabel': 'Map of spots',
+        'spots.empty': 'No Spots Found',
+        'spots.emptyHint': 'Add your first spot via',
+        'spots.indexed': '{count} Spots Indexed • Madrid, ES',
+        'filter.allNeighborhoods': 'All Neighborhoods',
+        'filter.selectNeighborhood': 'Select neighborhood',
+        'filter.searchLabel': 'Search spots and reviews',
+        'filter.searchPlaceholder': 'Search: oat milk, Lope de Vega…',
+        'filter.noise': 'Noise',
+        'filter.noiseLegend': 'Filter by Noise Level',
+        'filter.all': 'All',
+        'filter.library': 'Library',
+        'filter.hum': 'Hum',
+        'filter.lively': 'Lively',
+        'filter.plugs': 'Plugs',
+        'filter.now': 'Open & Laptop OK Now',
+        'filter.hoursUnknown': 'Hours unknown',
+        'filter.near': 'Near',
+        'filter.anywhere': 'Anywhere',
+        'filter.myLocation': 'My location',
+        'filter.station': 'Metro station',
+        'filter.originStation': 'Metro',
+        'filter.originCustom': 'Custom point',
+        'filter.radius': 'Maximum walking distance',
+        'filter.anyDistance': 'Any distance',
+        'filter.locating': 'Locating…',
+        'filter.locationUnavailable': 'Location unavailable',
+        'filter.spots': 'SPOTS',
+        'filter.wifi': 'Wifi',
+        'filter.wifiLegend': 'Filter by Wifi Speed',
+        'filter.price': 'Maximum coffee price',
+        'filter.anyPrice': 'Any price',
+        'filter.score': 'Minimum Casi Score',
+        'filter.anyScore': 'Any score',
+        'filter.sort': 'Sort',
+        'filter.sortDefault': 'Default',
+        'filter.sortScore': 'Score (high → low)',
+        'filter.sortPrice': 'Price (low → high)',
+        'filter.sortTitle': 'Title (A → Z)',
+
+        'wifi.flynet': 'flynet',
+        'wifi.reliable': 'reliable',
+        'wifi.spotty': 'spotty',
+        'wifi.detox': 'detox',
+        'wifi.none': 'No WiFi',
+        'noise.silence': 'silence',
+        'noise.hum': 'hum',
+        'noise.chaos': 'chaos',
+        'noiseLabel.silence': 'Library Quiet',
+        'noiseLabel.hum': 'Café Buzz',
+        'noiseLabel.chaos': 'Market Chaos',
+
+        'spot.title': '{title} | {neighborhood} - CasiLocal',
+        'spot.description': 'Review of {title} in {neighborhood}. Wifi: {wifi}, Noise: {noise}. CasiScore: {score}/10.',
+        'spot.back': '← Back to Index',
+        'spot.certified': 'Certified',
+        'spot.evidence': 'Evidence',
+        'spot.coverAlt': '{title} Cover',
+        'spot.galleryAlt': '{title} gallery image {index}',
+        'spot.branches': 'Other Branches',
+        'spot.branchesOf': '{title} at other addresses',
+        'spot.nearby': 'Nearby Alternatives',
+        'spot.nearbyIn': 'Other spots in {neighborhood}',
+        'spot.firstScout': 'First scout in {neighborhood}',
+        'spot.explore': 'Explore All Spots',
+        'spot.untranslated': 'This review is only available in English.',
+        'spot.draftTranslation': 'Machine translation, pending review by an editor.',
+        'spot.staleTranslation': 'The original review has changed since this translation.',
+        'spot.readOriginal': 'Read the original',
+        'spot.lastRevised': 'Last revised',
+        'revision.original': 'First version',
+        'revision.edit': 'Edited',
+        'revision.refine': 'Rewritten',
+        'revision.restore': 'Earlier version restored',
+        'revision.merge': 'Merged with a duplicate listing',
+        'revision.by': 'by {name}',
+        'sidebar.wifi': 'WiFi Speed',
+        'sidebar.limit': '{time} limit',
+        'sidebar.noise': 'Noise Level',
+        'sidebar.plugs': 'Plug Access',
+        'sidebar.yes': 'Yes',
+        'sidebar.no': 'No',
+        'sidebar.crowd': 'Crowd Check',
+        'sidebar.visit': 'visit',
+        'sidebar.visits': 'visits',
+        'sidebar.drifted': 'Drifted',
+        'sidebar.editorSays': 'Editor says {editor}, {count} {who} {crowd}',
+        'sidebar.visitorSays': 'visitor says',
+        'sidebar.visitorsSay': 'visitors say',
+        'sidebar.rent': '"Rent" (Coffee Price)',
+        'sidebar.budget': 'Budget OK',
+        'sidebar.midRange': 'Mid Range',
+        'sidebar.pricey': 'Pricey',
+        'sidebar.hours': 'Hours (Madrid time)',
+        'sidebar.closed': 'Closed',
+        'sidebar.noLaptops': 'No laptops {window}',
+        'sidebar.allDay': 'all day',
+        'sidebar.breakdown': 'Casi Score Breakdown',
+        'sidebar.notRated': '(not yet rated)',
+        'sidebar.editor': 'Editor',
+        'sidebar.total': 'Total',
+        'sidebar.howScored': "How it's scored",
+        'sidebar.directions': 'Get Directions',
+        'sidebar.directionsAria': 'Get directions to this spot',
+        'sidebar.reviewBy': 'Review by',
+        'factor.wifi_speed': 'WiFi',
+        'factor.noise_level': 'Noise',
+        'factor.plug_access': 'Plugs',
+        'factor.coffee_price': 'Price',
+        'factor.seating': 'Seating',
+        'factor.tables': 'Tables',
+        'day.mon': 'mon',
+        'day.tue': 'tue',
+        'day.wed': 'wed',
+        'day.thu': 'thu',
+        'day.fri': 'fri',
+        'day.sat': 'sat',
+        'day.sun': 'sun',
+    },
+    es: {
+        'site.description': 'La guía seleccionada de los mejores sitios de Madrid para nómadas digitales.',
+        'nav.spots': 'Nuestros Sitios Favoritos',
+        'nav.about': 'Quiénes somos',
+        'nav.faq': 'FAQ',
+        'nav.home': 'Inicio',
+        'nav.submit': 'Envía un Sitio',
+        'nav.menu': 'Abrir o cerrar el menú',
+        'nav.menuButton': 'Menú',
+        'nav.language': 'Idioma',
+        'search.label': 'Buscar sitios',
+        'search.placeholder': 'Buscar sitios…',
+        'footer.tagline': 'La guía seleccionada de los mejores sitios de Madrid para nómadas digitales. Reseñas reales, métricas honestas.',
+        'footer.navigate': 'Navegar',
+        'footer.lists': 'Listas Rápidas',
+        'footer.fastWifi': 'WiFi más rápido',
+        'footer.quiet': 'Zonas tranquilas',
+        'footer.power': 'Con enchufes',
+        'footer.deepWork': 'Trabajo profundo',
+        'footer.casual': 'Trabajo relajado',
+        'footer.involved': 'Participa',
+        'footer.involvedText': '¿Conoces un sitio que nos falta? ¿Tienes comentarios? Queremos saberlo.',
+        'footer.submitAria': 'Ir a la página para enviar un sitio',
+        'footer.privacy': 'Privacidad',
+        'footer.terms': 'Términos',
+
+        'home.title': 'CasiLocal | El Directorio para Teletrabajar en Madrid',
+        'hero.titleStart': 'El Directorio Seleccionado para',
+        'hero.titleEmphasis': 'Teletrabajar',
+        'hero.titleEnd': 'en Madrid.',
+        'hero.lede': 'Encuentra los mejores sitios para teletrabajar y estudiar en Madrid. Seleccionamos cafeterías donde se puede trabajar con portátil, espacios tranquilos y cafés con WiFi fiable.',
+        'hero.prompt': 'Encuentra tu sitio favorito ↓',
+        'hero.cta': 'Ver nuestros favoritos',
+        'hero.about': 'o conoce más sobre nosotros',
+        'featured.description': 'Un espacio de trabajo de primera en {neighborhood} con internet {wifi}, acústica {noise} y una Casi Score de {score}/10.',
+        'featured.imageAlt': 'Interior de {title}',
+        'featured.noImage': 'Sin imagen disponible',
+        'featured.kicker': 'Elección del editor · {neighborhood}',
+        'featured.titleEnd': 'El Referente para el',
+        'featured.titleEmphasis': 'Trabajo Profundo',
+        'featured.speed': 'Velocidad',
+        'featured.noise': 'Ruido',
+        'featured.power': 'Enchufes',
+        'featured.powerYes': 'Sí',
+        'featured.powerLimited': 'Limitados',
+        'featured.read': 'Leer el Análisis',
+        'stacks.heading': 'Lo Que Nos Importa',
+        'stacks.power': 'La Infraestructura',
+        'stacks.powerNote': '(Enchufes)',
+        'stacks.powerText': 'Una batería agotada mata la concentración. Comprobamos que haya enchufes accesibles en cada sitio para que aguantes las sesiones más largas sin agobios.',
+        'stacks.powerLink': 'Ver Sitios con Enchufes',
+        'stacks.noise': 'La Acústica',
+        'stacks.noiseNote': '(Ruido)',
+        'stacks.noiseText': 'Del silencio absoluto al murmullo enérgico de la cafetera. Elige el ambiente sonoro que encaje con tu modo de trabajo de hoy.',
+        'stacks.library': 'Biblioteca',
+        'stacks.buzz': 'Murmullo de Café',
+        'stacks.territories': 'Los Territorios',
+        'stacks.territoriesNote': '(Barrios)',
+        'stacks.locations': '{count} Sitios',
+        'method.heading': 'Cómo Auditamos.',
+        'method.intro': 'Rechazamos el sistema de 5 estrellas. Nuestra auditoría se centra en la',
+        'method.focus': 'Infraestructura de la Concentración',
+        'method.introEnd': 'Medimos la velocidad de bajada y subida (Certificación Flynet), los decibelios en hora punta y la disponibilidad de enchufes. Si una mesa cojea, queda fuera.',
+        'method.formula': 'La Casi Score, al completo.',
+        'method.formulaText': 'Cada métrica se convierte en una subpuntuación de 0 a 10; la Casi Score es su suma ponderada. Los asientos y mesas que aún no hemos valorado cuentan como 6. Un editor puede mover el resultado como mucho ±{max} puntos, y solo con una justificación escrita que se muestra en la ficha del sitio.',
+        'method.metric': 'Métrica',
+        'method.weight': 'Peso',
+        'method.subScore': 'Subpuntuación',
+        'method.price': '1,50 € o menos 10, menos 3,2 por cada euro extra, mínimo 2',
+        'submit.heading': '¿Conoces una Joya Escondida?',
+        'submit.lede': 'Aceptamos espacios que respetan tanto el trabajo como el café. Sin cadenas. Sin bibliotecas. Solo joyas escondidas.',
+        'submit.received': 'Recibido',
+        'submit.receivedText': 'Hemos registrado tu envío. Nuestros editores verificarán los datos en 48 horas.',
+        'submit.again': 'Enviar Otro',
+        'submit.link': '01. Enlace de Google Maps',
+        'submit.linkPlaceholder': 'Pega la URL aquí...',
+        'submit.assessment': '02. Evaluación',
+        'submit.wifi': 'Rendimiento del WiFi',
+        'submit.acoustics': 'Acústica',
+        'submit.power': 'Acceso a Enchufes',
+        'submit.coffee': 'Calidad del Café',
+        'submit.briefing': '03. El Informe',
+        'submit.briefingPlaceholder': '¿Cuál es el mejor sitio? ¿Cuándo se llena? ¿El aire acondicionado está demasiado fuerte?',
+        'submit.remaining': 'Quedan {count} caracteres',
+        'submit.send': 'Enviar Informe',
+        'submit.sending': 'Enviando...',
+        'submit.failed': 'No se pudo enviar: ',
+        'submit.error': '¡Algo ha ido mal!',
+        'submit.verify': 'Verificamos a mano cada envío antes de publicarlo.',
+
+        'spots.title': 'Nuestros Sitios Favoritos',
+        'spots.description': 'Un índice seleccionado de las mejores cafeterías, bares y coworkings de Madrid para nómadas digitales.',
+        'spots.headingStart': 'Nuestros Sitios',
+        'spots.headingEmphasis': 'Favoritos',
+        'spots.lede': 'Cada cafetería, bar y joya escondida que hemos probado. Filtrados por velocidad de WiFi, nivel de ruido y acceso a enchufes.',
+        'spots.view': 'Elegir vista',
+        'spots.list': 'Lista',
+        'spots.map': 'Mapa',
+        'spots.mapLabel': 'Mapa de sitios',
+        'spots.empty': 'No Hay Sitios',
+        'spots.emptyHint': 'Añade el primero desde',
+        'spots.indexed': '{count} Sitios Indexados • Madrid, ES',
+        'filter.allNeighborhoods': 'Todos los Barrios',
+        'filter.selectNeighborhood': 'Elegir barrio',
+        'filter.searchLabel': 'Buscar sitios y reseñas',
+        'filter.searchPlaceholder': 'Busca: leche de avena, Lope de Vega…',
+        'filter.noise': 'Ruido',
+        'filter.noiseLegend': 'Filtrar por nivel de ruido',
+        'filter.all': 'Todos',
+        'filter.library': 'Biblioteca',
+        'filter.hum': 'Murmullo',
+        'filter.lively': 'Animado',
+        'filter.plugs': 'Enchufes',
+        'filter.now': 'Abierto y con Portátil Ahora',
+        'filter.hoursUnknown': 'Horario desconocido',
+        'filter.near': 'Cerca de',
+        'filter.anywhere': 'Cualquier sitio',
+        'filter.myLocation': 'Mi ubicación',
+        'filter.station': 'Estación de metro',
+        'filter.originStation': 'Metro',
+        'filter.originCustom': 'Punto personalizado',
+        'filter.radius': 'Distancia máxima a pie',
+        'filter.anyDistance': 'Cualquier distancia',
+        'filter.locating': 'Localizando…',
+        'filter.locationUnavailable': 'Ubicación no disponible',
+        'filter.spots': 'SITIOS',
+        'filter.wifi': 'WiFi',
+        'filter.wifiLegend': 'Filtrar por velocidad de WiFi',
+        'filter.price': 'Precio máximo del café',
+        'filter.anyPrice': 'Cualquier precio',
+        'filter.score': 'Casi Score mínima',
+        'filter.anyScore': 'Cualquier nota',
+        'filter.sort': 'Orden',
+        'filter.sortDefault': 'Por defecto',
+        'filter.sortScore': 'Nota (de mayor a menor)',
+        'filter.sortPrice': 'Precio (de menor a mayor)',
+        'filter.sortTitle': 'Nombre (A → Z)',
+
+        'wifi.flynet': 'flynet',
+        'wifi.reliable': 'fiable',
+        'wifi.spotty': 'irregular',
+        'wifi.detox': 'detox',
+        'wifi.none': 'Sin WiFi',
+        'noise.silence': 'silencio',
+        'noise.hum': 'murmullo',
+        'noise.chaos': 'caos',
+        'noiseLabel.silence': 'Silencio de Biblioteca',
+        'noiseLabel.hum': 'Murmullo de Café',
+        'noiseLabel.chaos': 'Caos de Mercado',
+
+        'spot.title': '{title} | {neighborhood} - CasiLocal',
+        'spot.description': 'Reseña de {title} en {neighborhood}. WiFi: {wifi}, Ruido: {noise}. CasiScore: {score}/10.',
+        'spot.back': '← Volver al Índice',
+        'spot.certified': 'Certificado',
+        'spot.evidence': 'Pruebas',
+        'spot.coverAlt': 'Portada de {title}',
+        'spot.galleryAlt': '{title}, imagen {index} de la galería',
+        'spot.branches': 'Otros Locales',
+        'spot.branchesOf': '{title} en otras direcciones',
+        'spot.nearby': 'Alternativas Cercanas',
+        'spot.nearbyIn': 'Otros sitios en {neighborhood}',
+        'spot.firstScout': 'Primer sitio explorado en {neighborhood}',
+        'spot.explore': 'Ver Todos los Sitios',
+        'spot.untranslated': 'Esta reseña solo está disponible en inglés.',
+        'spot.draftTranslation': 'Traducción automática, pendiente de revisión por un editor.',
+        'spot.staleTranslation': 'La reseña original ha cambiado desde esta traducción.',
+        'spot.readOriginal': 'Leer el original',
+        'spot.lastRevised': 'Última revisión',
+        'revision.original': 'Primera versión',
+        'revision.edit': 'Editada',
+        'revision.refine': 'Reescrita',
+        'revision.restore': 'Versión anterior restaurada',
+        'revision.merge': 'Fusionada con una ficha duplicada',
+        'revision.by': 'por {name}',
+        'sidebar.wifi': 'Velocidad del WiFi',
+        'sidebar.limit': 'Límite de {time}',
+        'sidebar.noise': 'Nivel de Ruido',
+        'sidebar.plugs': 'Enchufes',
+        'sidebar.yes': 'Sí',
+        'sidebar.no': 'No',
+        'sidebar.crowd': 'Opinión de la Gente',
+        'sidebar.visit': 'visita',
+        'sidebar.visits': 'visitas',
+        'sidebar.drifted': 'Ha Cambiado',
+        'sidebar.editorSays': 'El editor dice {editor}, {count} {who} {crowd}',
+        'sidebar.visitorSays': 'visitante dice',
+        'sidebar.visitorsSay': 'visitantes dicen',
+        'sidebar.rent': '"Alquiler" (Precio del Café)',
+        'sidebar.budget': 'Económico',
+        'sidebar.midRange': 'Precio Medio',
+        'sidebar.pricey': 'Caro',
+        'sidebar.hours': 'Horario (hora de Madrid)',
+        'sidebar.closed': 'Cerrado',
+        'sidebar.noLaptops': 'Sin portátiles {window}',
+        'sidebar.allDay': 'todo el día',
+        'sidebar.breakdown': 'Desglose de la Casi Score',
+        'sidebar.notRated': '(sin valorar)',
+        'sidebar.editor': 'Editor',
+        'sidebar.total': 'Total',
+        'sidebar.howScored': 'Cómo puntuamos',
+        'sidebar.directions': 'Cómo Llegar',
+        'sidebar.directionsAria': 'Cómo llegar a este sitio',
+        'sidebar.reviewBy': 'Reseña de',
+        'factor.wifi_speed': 'WiFi',
+        'factor.noise_level': 'Ruido',
+        'factor.plug_access': 'Enchufes',
+        'factor.coffee_price': 'Precio',
+        'factor.seating': 'Asientos',
+        'factor.tables': 'Mesas',
+        'day.mon': 'lun',
+        'day.tue': 'mar',
+        'day.wed': 'mié',
+        'day.thu': 'jue',
+        'day.fri': 'vie',
+        'day.sat': 'sáb',
+        'day.sun': 'dom',
+    },
+};
+
+/** @typedef {keyof typeof UI.en} UIKey */
+
+/**
+ * String lookup for `locale`, falling back to English. `{name}` placeholders
+ * are filled from `vars`.
+ * @param {string | undefined} locale
+ */
+export function useTranslations(locale) {
+    const strings = UI[toLocale(locale)];
+    /**
+     * @param {UIKey} key
+     * @param {Record<string, string | number>} [vars]
+     */
+    return (key, vars = {}) => (strings[key] ?? UI.en[key]).replace(/\{(\w+)\}/g, (_, name) => String(vars[name] ?? ''));
+}
@@ -0,0 +1,13 @@
+// Which spots are public-facing. A bundle gets its own page as soon as it
+// exists, but it only appears in the /spots/ index, the map, search, the home
+// page stacks, nearby alternatives and the data exports once it has a cover
+// image, so half-finished drafts from the seeder stay out of every listing.
+
+export const LISTING_RULE = 'Only spots with a cover image are listed. This is the same rule the /spots/ index, map and search use.';
+
+/**
+ * @param {{ data: { coverImage?: { image?: unknown } } }} spot
+ */
+export function isListed(spot) {
+    return !!spot.data.coverImage?.image;
+}
@@ -0,0 +1,64 @@
+// Metro de Madrid stations in and around the neighborhoods we cover, used as
+// manual "distance from" origins when geolocation is off. Coordinates are the
+// approximate station location (not a specific entrance), good to ~100 m.
+export const METRO_STATIONS = /** @type {const} */ ([
+    { slug: 'acacias', name: 'Acacias', lines: ['5'], lat: 40.4039, long: -3.7069 },
+    { slug: 'alonso-cano', name: 'Alonso Cano', lines: ['7'], lat: 40.4393, long: -3.6979 },
+    { slug: 'alonso-martinez', name: 'Alonso Martínez', lines: ['4', '5', '10'], lat: 40.4279, long: -3.6956 },
+    { slug: 'anton-martin', name: 'Antón Martín', lines: ['1'], lat: 40.4124, long: -3.6989 },
+    { slug: 'arguelles', name: 'Argüelles', lines: ['3', '4', '6'], lat: 40.4302, long: -3.7155 },
+    { slug: 'atocha', name: 'Atocha', lines: ['1'], lat: 40.4063, long: -3.6899 },
+    { slug: 'banco-de-espana', name: 'Banco de España', lines: ['2'], lat: 40.4190, long: -3.6953 },
+    { slug: 'bilbao', name: 'Bilbao', lines: ['1', '4'], lat: 40.4290, long: -3.7022 },
+    { slug: 'callao', name: 'Callao', lines: ['3', '5'], lat: 40.4200, long: -3.7058 },
+    { slug: 'canal', name: 'Canal', lines: ['2', '7'], lat: 40.4384, long: -3.7041 },
+    { slug: 'chueca', name: 'Chueca', lines: ['5'], lat: 40.4227, long: -3.6978 },
+    { slug: 'colon', name: 'Colón', lines: ['4'], lat: 40.4250, long: -3.6906 },
+    { slug: 'cuatro-caminos', name: 'Cuatro Caminos', lines: ['1', '2', '6'], lat: 40.4466, long: -3.7038 },
+    { slug: 'delicias', name: 'Delicias', lines: ['3'], lat: 40.3996, long: -3.6937 },
+    { slug: 'diego-de-leon', name: 'Diego de León', lines: ['4', '5', '6'], lat: 40.4348, long: -3.6760 },
+    { slug: 'embajadores', name: 'Embajadores', lines: ['3'], lat: 40.4046, long: -3.7024 },
+    { slug: 'estacion-del-arte', name: 'Estación del Arte', lines: ['1'], lat: 40.4085, long: -3.6940 },
+    { slug: 'goya', name: 'Goya', lines: ['2', '4'], lat: 40.4244, long: -3.6760 },
+    { slug: 'gran-via', name: 'Gran Vía', lines: ['1', '5'], lat: 40.4197, long: -3.7019 },
+    { slug: 'gregorio-maranon', name: 'Gregorio Marañón', lines: ['7', '10'], lat: 40.4377, long: -3.6916 },
+    { slug: 'ibiza', name: 'Ibiza', lines: ['9'], lat: 40.4188, long: -3.6757 },
+    { slug: 'iglesia', name: 'Iglesia', lines: ['1'], lat: 40.4333, long: -3.6997 },
+    { slug: 'islas-filipinas', name: 'Islas Filipinas', lines: ['7'], lat: 40.4387, long: -3.7115 },
+    { slug: 'la-latina', name: 'La Latina', lines: ['5'], lat: 40.4113, long: -3.7093 },
+    { slug: 'lavapies', name: 'Lavapiés', lines: ['3'], lat: 40.4089, long: -3.7009 },
+    { slug: 'legazpi', name: 'Legazpi', lines: ['3', '6'], lat: 40.3914, long: -3.6950 },
+    { slug: 'lista', name: 'Lista', lines: ['4'], lat: 40.4302, long: -3.6758 },
+    { slug: 'menendez-pelayo', name: 'Menéndez Pelayo', lines: ['1'], lat: 40.4094, long: -3.6793 },
+    { slug: 'moncloa', name: 'Moncloa', lines: ['3', '6'], lat: 40.4350, long: -3.7189 },
+    { slug: 'noviciado', name: 'Noviciado', lines: ['2'], lat: 40.4241, long: -3.7053 },
+    { slug: 'nunez-de-balboa', name: 'Núñez de Balboa', lines: ['5', '9'], lat: 40.4320, long: -3.6805 },
+    { slug: 'opera', name: 'Ópera', lines: ['2', '5', 'R'], lat: 40.4181, long: -3.7094 },
+    { slug: 'pacifico', name: 'Pacífico', lines: ['1', '6'], lat: 40.4014, long: -3.6745 },
+    { slug: 'palos-de-la-frontera', name: 'Palos de la Frontera', lines: ['3'], lat: 40.4030, long: -3.6948 },
+    { slug: 'piramides', name: 'Pirámides', lines: ['5'], lat: 40.4024, long: -3.7117 },
+    { slug: 'plaza-de-espana', name: 'Plaza de España', lines: ['3', '10'], lat: 40.4237, long: -3.7121 },
+    { slug: 'principe-de-vergara', name: 'Príncipe de Vergara', lines: ['2', '9'], lat: 40.4241, long: -3.6795 },
+    { slug: 'puerta-de-toledo', name: 'Puerta de Toledo', lines: ['5'], lat: 40.4068, long: -3.7118 },
+    { slug: 'quevedo', name: 'Quevedo', lines: ['2'], lat: 40.4330, long: -3.7067 },
+    { slug: 'retiro', name: 'Retiro', lines: ['2'], lat: 40.4212, long: -3.6829 },
+    { slug: 'rios-rosas', name: 'Ríos Rosas', lines: ['1'], lat: 40.4414, long: -3.7016 },
+    { slug: 'ruben-dario', name: 'Rubén Darío', lines: ['5'], lat: 40.4330, long: -3.6897 },
+    { slug: 'sainz-de-baranda', name: 'Sainz de Baranda', lines: ['6', '9'], lat: 40.4147, long: -3.6696 },
+    { slug: 'san-bernardo', name: 'San Bernardo', lines: ['2', '4'], lat: 40.4300, long: -3.7060 },
+    { slug: 'santo-domingo', name: 'Santo Domingo', lines: ['2'], lat: 40.4203, long: -3.7074 },
+    { slug: 'serrano', name: 'Serrano', lines: ['4'], lat: 40.4260, long: -3.6880 },
+    { slug: 'sevilla', name: 'Sevilla', lines: ['2'], lat: 40.4182, long: -3.6977 },
+    { slug: 'sol', name: 'Sol', lines: ['1', '2', '3'], lat: 40.4169, long: -3.7033 },
+    { slug: 'tirso-de-molina', name: 'Tirso de Molina', lines: ['1'], lat: 40.4125, long: -3.7043 },
+    { slug: 'tribunal', name: 'Tribunal', lines: ['1', '10'], lat: 40.4262, long: -3.7013 },
+    { slug: 'velazquez', name: 'Velázquez', lines: ['4'], lat: 40.4254, long: -3.6839 },
+    { slug: 'ventura-rodriguez', name: 'Ventura Rodríguez', lines: ['3'], lat: 40.4273, long: -3.7153 },
+]);
+
+/**
+ * @param {string} slug
+ */
+export function findStation(slug) {
+    return METRO_STATIONS.find((station) => station.slug === slug) || null;
+}
@@ -0,0 +1,53 @@
+// Canonical neighborhood registry. Spot frontmatter stores the slug; every
+// label, filter value and link is derived from here. Shared with the bot
+// (plain JS) so seeded and backfilled spots use the same vocabulary.
+// `aliases` are alternative spellings and official barrio names that
+// normalize to the slug (matched case- and accent-insensitively).
+import { normalizeText } from './text.js';
+
+export const NEIGHBORHOODS = /** @type {const} */ ({
+    'malasana': { name: 'Malasaña', district: 'Centro', aliases: ['Universidad', 'Tribunal', 'Triball'] },
+    'conde-duque': { name: 'Conde Duque', district: 'Centro', aliases: ['Noviciado'] },
+    'chueca': { name: 'Chueca', district: 'Centro', aliases: ['Justicia', 'Salesas'] },
+    'sol': { name: 'Sol', district: 'Centro', aliases: ['Puerta del Sol', 'Callao'] },
+    'huertas': { name: 'Huertas', district: 'Centro', aliases: ['Cortes', 'Barrio de las Letras', 'Las Letras', 'Letras'] },
+    'lavapies': { name: 'Lavapiés', district: 'Centro', aliases: ['Embajadores'] },
+    'la-latina': { name: 'La Latina', district: 'Centro', aliases: ['Rastro', 'El Rastro'] },
+    'palacio': { name: 'Palacio', district: 'Centro', aliases: ['Ópera', 'Austrias', 'Madrid de los Austrias'] },
+    'arguelles': { name: 'Argüelles', district: 'Moncloa-Aravaca', aliases: ['Moncloa'] },
+    'chamberi': { name: 'Chamberí', district: 'Chamberí', aliases: ['Trafalgar', 'Almagro', 'Arapiles', 'Gaztambide', 'Ríos Rosas', 'Vallehermoso'] },
+    'salamanca': { name: 'Salamanca', district: 'Salamanca', aliases: ['Recoletos', 'Goya', 'Castellana', 'Lista'] },
+    'retiro': { name: 'Retiro', district: 'Retiro', aliases: ['Ibiza', 'Jerónimos', 'Niño Jesús', 'Pacífico'] },
+    'arganzuela': { name: 'Arganzuela', district: 'Arganzuela', aliases: ['Delicias', 'Legazpi', 'Palos de Moguer', 'Acacias'] },
+});
+
+/** @typedef {keyof typeof NEIGHBORHOODS} NeighborhoodSlug */
+
+export const NEIGHBORHOOD_SLUGS = /** @type {[NeighborhoodSlug, ...NeighborhoodSlug[]]} */ (Object.keys(NEIGHBORHOODS));
+
+/**
+ * Display name for a stored slug.
+ * @param {NeighborhoodSlug} slug
+ */
+export function neighborhoodName(slug) {
+    return NEIGHBORHOODS[slug].name;
+}
+
+/**
+ * Map a slug, display name or alias to its canonical slug, or null when unknown.
+ * District names (e.g. "Centro") are deliberately not aliases: they are ambiguous.
+ * @param {string} value
+ * @returns {NeighborhoodSlug | null}
+ */
+export function findNeighborhood(value) {
+    if (!value) return null;
+    const needle = normalizeText(value);
+
+    for (const slug of NEIGHBORHOOD_SLUGS) {
+        const { name, aliases } = NEIGHBORHOODS[slug];
+        if ([slug, name, ...aliases].some((candidate) => normalizeText(candidate) === needle)) {
+            return slug;
+        }
+    }
+    return null;
+}
@@ -0,0 +1,55 @@
+// Server-only: append visitor reports to src/content/observations/<slug>.json,
+// through lib/content-store.js. Picked up by the `observations` collection on
+// the next build.
+import { createHash, randomBytes } from 'node:crypto';
+import { contentStore } from './content-store.js';
+import { observationsFileSchema } from './observations.js';
+
+// From the repository root
+export const OBSERVATIONS_DIR = process.env.OBSERVATIONS_DIR || 'src/content/observations';
+
+// Keeps reporter ids from being reversed to an address by hashing every IP.
+// Set OBSERVATION_SALT so ids stay stable across restarts; without it each
+// server process picks its own and a restart forgets the day's reporters.
+const SALT = process.env.OBSERVATION_SALT || randomBytes(16).toString('hex');
+
+/**
+ * Pseudonym for one client reporting on one spot on one (UTC) day. Ids for
+ * other spots or days do not match, so reports cannot be linked to each other.
+ * @param {string} client Client address
+ * @param {string} slug
+ * @param {Date} [now]
+ */
+export function reporterId(client, slug, now = new Date()) {
+    const day = now.toISOString().slice(0, 10);
+    return createHash('sha256').update(`${SALT}:${client}:${slug}:${day}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Add a report unless its reporter already reported on this spot today.
+ * @param {string} slug Published spot id (from the collection, never raw user input)
+ * @param {import('zod').infer<typeof import('./observations.js').observationSchema>} report
+ * @returns {Promise<number | null>} Number of reports on file, or null for a repeat report
+ */
+export async function appendObservation(slug, report) {
+    const filePath = `${OBSERVATIONS_DIR}/${slug}.json`;
+    // Two reports on one spot can race: the second write then sees a newer
+    // file, so read it again once
+    for (let attempt = 1; ; attempt++) {
+        const file = await contentStore.read(filePath);
+        const current = file ? observationsFileSchema.parse(JSON.parse(file.text)) : { reports: [] };
+
+        if (report.reporter && current.reports.some((existing) => existing.reporter === report.reporter)) {
+            return null;
+        }
+
+        const text = `${JSON.stringify({ reports: [...current.reports, report] }, null, 2)}\n`;
+        try {
+            await (file ? contentStore.update(filePath, text, file.version) : contentStore.create(filePath, text));
+            return current.reports.length + 1;
+        } catch (error) {
+            const code = /** @type {NodeJS.ErrnoException} */ (error).code;
+            if (attempt > 1 || (code !== 'ECONFLICT' && code !== 'EEXIST')) throw error;
+        }
+    }
+}
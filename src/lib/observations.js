@@ -0,0 +1,82 @@
+// Visitor reports ("observations") for published spots, stored per spot in
+// src/content/observations/<slug>.json, and the consensus shown next to the
+// editorial metrics. Older reports count less: weight halves every half-life.
+import { z } from 'zod';
+import { WIFI_SPEEDS, NOISE_LEVELS } from './spot-schema.js';
+import { POWER_LEVELS, COFFEE_QUALITY, powerToPlugAccess } from './submissions.js';
+
+export const OBSERVATION_HALF_LIFE_DAYS = 180;
+// Below this many reports the crowd is shown but never flagged as drifting
+export const MIN_CROWD_REPORTS = 3;
+// Share of (weighted) reports that must disagree with the editor to flag drift
+export const DRIFT_SHARE = 0.6;
+
+export const observationSchema = z.object({
+    wifi: z.enum(WIFI_SPEEDS),
+    noise: z.enum(NOISE_LEVELS),
+    power: z.enum(POWER_LEVELS),
+    coffee: z.enum(COFFEE_QUALITY).optional(),
+    observedAt: z.string().datetime(),
+    // Pseudonym of the reporting client for that spot and day (observation-store.js):
+    // one report per client per spot per day counts
+    reporter: z.string().regex(/^[0-9a-f]{16}$/).optional(),
+});
+
+export const observationsFileSchema = z.object({
+    reports: z.array(observationSchema),
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function recencyWeight(observedAt, now) {
+    const ageDays = Math.max(0, (now.getTime() - new Date(observedAt).getTime()) / DAY_MS);
+    return 0.5 ** (ageDays / OBSERVATION_HALF_LIFE_DAYS);
+}
+
+// Weighted vote for one metric: winning value, its weighted share and raw count
+function consensus(reports, pick, now) {
+    /** @type {Map<unknown, { weight: number, count: number }>} */
+    const tally = new Map();
+    let total = 0;
+
+    for (const report of reports) {
+        const value = pick(report);
+        const weight = recencyWeight(report.observedAt, now);
+        const entry = tally.get(value) || { weight: 0, count: 0 };
+        entry.weight += weight;
+        entry.count += 1;
+        tally.set(value, entry);
+        total += weight;
+    }
+
+    const [value, { weight, count }] = [...tally.entries()].sort((a, b) => b[1].weight - a[1].weight)[0];
+    return { value, count, share: total > 0 ? weight / total : 0 };
+}
+
+/**
+ * Aggregate visitor reports against the editorial metrics.
+ * @param {z.infer<typeof observationSchema>[]} reports
+ * @param {{ wifi_speed: string, noise_level: string, plug_access: boolean }} editorial
+ * @param {Date} [now]
+ */
+export function aggregateObservations(reports, editorial, now = new Date()) {
+    if (reports.length === 0) return null;
+
+    const withDrift = (metric, editorialValue) => ({
+        ...metric,
+        drift: reports.length >= MIN_CROWD_REPORTS && metric.value !== editorialValue && metric.share >= DRIFT_SHARE,
+    });
+
+    const wifi = withDrift(consensus(reports, (r) => r.wifi, now), editorial.wifi_speed);
+    const noise = withDrift(consensus(reports, (r) => r.noise, now), editorial.noise_level);
+    const plug = withDrift(consensus(reports, (r) => powerToPlugAccess(r.power), now), editorial.plug_access);
+
+    return {
+        count: reports.length,
+        lastObservedAt: reports.map((r) => r.observedAt).sort().at(-1),
+        wifi,
+        noise,
+        plug,
+        drifted: wifi.drift || noise.drift || plug.drift,
+    };
+}
@@ -0,0 +1,132 @@
+// Weekly opening hours, laptop-policy windows and wifi time limits (schemas in
+// spot-schema.js). Used by the spot page (display and JSON-LD) and by
+// FilterDeck's "open and laptop-friendly now" toggle, which evaluates them in
+// Madrid time whatever the visitor's timezone. No zod here: it ships to the client.
+
+export const TIMEZONE = 'Europe/Madrid';
+
+export const DAYS = /** @type {const} */ (['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']);
+
+/** @typedef {typeof DAYS[number]} Day */
+
+/** @type {Record<Day, string>} */
+export const DAY_NAMES = {
+    mon: 'Monday',
+    tue: 'Tuesday',
+    wed: 'Wednesday',
+    thu: 'Thursday',
+    fri: 'Friday',
+    sat: 'Saturday',
+    sun: 'Sunday',
+};
+
+/** @param {string} time "HH:MM" */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/** @param {Day} day */
+function previousDay(day) {
+    return DAYS[(DAYS.indexOf(day) + DAYS.length - 1) % DAYS.length];
+}
+
+/**
+ * True when `minutes` on `day` falls inside the from-to window declared for
+ * `days`, including the tail of a window that started the day before.
+ * @param {readonly Day[]} days
+ * @param {string} from
+ * @param {string} to
+ * @param {{ day: Day, minutes: number }} clock
+ */
+function withinWindow(days, from, to, { day, minutes }) {
+    const start = toMinutes(from);
+    const end = toMinutes(to);
+    if (start === end) return days.includes(day);
+    if (start < end) return days.includes(day) && minutes >= start && minutes < end;
+    return (days.includes(day) && minutes >= start) || (days.includes(previousDay(day)) && minutes < end);
+}
+
+/**
+ * Day of week and minutes since midnight in Madrid.
+ * @param {Date} [date]
+ * @returns {{ day: Day, minutes: number }}
+ */
+export function madridClock(date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: TIMEZONE,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date);
+    const part = (type) => parts.find((p) => p.type === type)?.value || '';
+    const day = /** @type {Day} */ (part('weekday').slice(0, 3).toLowerCase());
+    return { day, minutes: Number(part('hour')) * 60 + Number(part('minute')) };
+}
+
+/**
+ * @param {{ days: readonly Day[], open: string, close: string }[]} hours
+ * @param {{ day: Day, minutes: number }} clock
+ */
+export function isOpenAt(hours, clock) {
+    return hours.some((range) => withinWindow(range.days, range.open, range.close, clock));
+}
+
+/**
+ * @param {{ days: readonly Day[], from?: string, to?: string }[]} policy
+ * @param {{ day: Day, minutes: number }} clock
+ */
+export function laptopsAllowedAt(policy, clock) {
+    return !policy.some((rule) => rule.from && rule.to
+        ? withinWindow(rule.days, rule.from, rule.to, clock)
+        : rule.days.includes(clock.day));
+}
+
+/**
+ * Open and accepting laptops at `clock`; null when the spot has no hours on record.
+ * @param {{ hours?: { days: readonly Day[], open: string, close: string }[], laptop_policy?: { days: readonly Day[], from?: string, to?: string }[] }} spot
+ * @param {{ day: Day, minutes: number }} [clock]
+ */
+export function isWorkFriendlyAt(spot, clock = madridClock()) {
+    if (!spot.hours?.length) return null;
+    return isOpenAt(spot.hours, clock) && laptopsAllowedAt(spot.laptop_policy || [], clock);
+}
+
+/**
+ * One row per day, Monday first, for the spot page.
+ * @param {{ days: readonly Day[], open: string, close: string }[]} hours
+ * @param {{ days: readonly Day[], from?: string, to?: string, note?: string | null }[]} [policy]
+ */
+export function weeklySchedule(hours, policy = []) {
+    return DAYS.map((day) => ({
+        day,
+        name: DAY_NAMES[day],
+        open: hours.filter((range) => range.days.includes(day)).map((range) => `${range.open}–${range.close}`),
+        noLaptops: policy
+            .filter((rule) => rule.days.includes(day))
+            // window is null for an all-day ban
+            .map((rule) => ({ window: rule.from && rule.to ? `${rule.from}–${rule.to}` : null, note: rule.note || null })),
+    }));
+}
+
+/**
+ * schema.org OpeningHoursSpecification entries for the spot's JSON-LD.
+ * @param {{ days: readonly Day[], open: string, close: string }[]} hours
+ */
+export function openingHoursSpecification(hours) {
+    return hours.map((range) => ({
+        '@type': 'OpeningHoursSpecification',
+        dayOfWeek: range.days.map((day) => `https://schema.org/${DAY_NAMES[day]}`),
+        opens: range.open,
+        closes: range.close,
+    }));
+}
+
+/** @param {number} minutes */
+export function formatTimeLimit(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return rest ? `${hours}h ${rest}min` : `${hours}h`;
+}
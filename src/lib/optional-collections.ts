@@ -0,0 +1,32 @@
+// Collections that stay empty until the bot or readers add to them:
+// translations (npm run translate), revisions (rewrites) and observations
+// (reader reports). Astro logs "does not exist or is empty" on every read of
+// an empty collection, once per page, so these are only read once their
+// files exist. Patterns mirror the loaders in src/content/config.ts.
+import { existsSync, readdirSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+import { getCollection, type CollectionEntry } from 'astro:content';
+
+type OptionalCollection = 'translations' | 'revisions' | 'observations';
+
+const CONTENT_DIR = resolve('src/content');
+
+const jsonFiles = (dir: string) => existsSync(dir) && readdirSync(dir).some((file) => file.endsWith('.json'));
+
+const hasEntries: Record<OptionalCollection, () => boolean> = {
+    translations: () => {
+        const spots = join(CONTENT_DIR, 'spots');
+        return readdirSync(spots).some((slug) =>
+            ['index.es.md', 'index.es.mdx'].some((file) => existsSync(join(spots, slug, file))));
+    },
+    revisions: () => jsonFiles(join(CONTENT_DIR, 'revisions')),
+    observations: () => jsonFiles(join(CONTENT_DIR, 'observations')),
+};
+
+/**
+ * getCollection for a collection that may have no entries yet: [] without
+ * Astro's warning when nothing is on disk.
+ */
+export async function getOptionalCollection<C extends OptionalCollection>(collection: C): Promise<CollectionEntry<C>[]> {
+    return hasEntries[collection]() ? getCollection(collection) : [];
+}
@@ -0,0 +1,65 @@
+// Server-only storage for reader submissions: draft bundles at
+// <PENDING_DIR>/<slug>/index.mdx, the same layout as src/content/spots,
+// so Keystatic can edit them and `npm run promote` (bot) can move them.
+// Written through lib/content-store.js, so on the deployment they are commits.
+import yaml from 'js-yaml';
+import { existsSync, readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { contentStore } from './content-store.js';
+import { mapsKey } from './submissions.js';
+
+// From the repository root
+export const PENDING_DIR = process.env.SUBMISSIONS_DIR || 'src/content/pending';
+const PROCESSED_SPOTS_FILE = resolve('bot/processed-spots.json');
+const BUNDLE_ENTRY = 'index.mdx';
+
+/** @param {string} text */
+function readFrontmatter(text) {
+    const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+    return match ? /** @type {Record<string, unknown>} */ (yaml.load(match[1]) || {}) : {};
+}
+
+/**
+ * Maps keys of every pending draft.
+ * @returns {Promise<Set<string>>}
+ */
+export async function pendingMapsKeys() {
+    const slugs = await contentStore.listDirectories(PENDING_DIR);
+    const drafts = await Promise.all(slugs.map((slug) => contentStore.read(`${PENDING_DIR}/${slug}/${BUNDLE_ENTRY}`)));
+
+    return new Set(
+        drafts
+            .filter((draft) => draft !== null)
+            .map((draft) => readFrontmatter(draft.text).maps_url)
+            .filter((url) => typeof url === 'string')
+            .map((url) => mapsKey(/** @type {string} */ (url)))
+    );
+}
+
+/**
+ * Maps keys of every place the seeding bot has already turned into a spot.
+ * @returns {Set<string>}
+ */
+export function processedMapsKeys() {
+    if (!existsSync(PROCESSED_SPOTS_FILE)) return new Set();
+
+    try {
+        const processed = JSON.parse(readFileSync(PROCESSED_SPOTS_FILE, 'utf-8'));
+        return new Set(processed.map((spot) => spot.uri).filter(Boolean).map(mapsKey));
+    } catch {
+        return new Set();
+    }
+}
+
+/**
+ * Write a new draft bundle. Never overwrites: fails with EEXIST if the slug
+ * is already taken.
+ * @param {{ slug: string, frontmatter: Record<string, unknown>, body: string }} draft
+ */
+export async function writePendingDraft({ slug, frontmatter, body }) {
+    await contentStore.create(
+        `${PENDING_DIR}/${slug}/${BUNDLE_ENTRY}`,
+        `---\n${yaml.dump({ slug, ...frontmatter })}---\n\n${body.trim()}\n`
+    );
+    return slug;
+}
@@ -0,0 +1,74 @@
+// Server-only: fixed-window request counting for the public write endpoints.
+// With KV_REST_API_URL and KV_REST_API_TOKEN set (a Redis REST endpoint, as
+// Upstash and Vercel KV provide) the counts are shared by every instance and
+// survive cold starts. Without them they live in memory, per instance: enough
+// for local development, but a serverless cold start forgets them.
+import { createHash } from 'node:crypto';
+
+const KV_URL = process.env.KV_REST_API_URL;
+const KV_TOKEN = process.env.KV_REST_API_TOKEN;
+
+/**
+ * @param {{ name: string, limit: number, windowMs: number }} options At most
+ *   `limit` hits per key per `windowMs`; `name` keeps limiters apart in KV
+ */
+export function createRateLimiter({ name, limit, windowMs }) {
+    /** @type {Map<string, { count: number, resetAt: number }>} */
+    const windows = new Map();
+
+    /** @param {string} key */
+    function hitMemory(key) {
+        const now = Date.now();
+        // Drop expired windows so the map does not grow with every client ever seen
+        for (const [stale, entry] of windows) {
+            if (entry.resetAt <= now) windows.delete(stale);
+        }
+
+        const entry = windows.get(key) ?? { count: 0, resetAt: now + windowMs };
+        if (entry.count >= limit) {
+            return { allowed: false, retryAfter: Math.ceil((entry.resetAt - now) / 1000) };
+        }
+        entry.count++;
+        windows.set(key, entry);
+        return { allowed: true, retryAfter: 0 };
+    }
+
+    /** @param {string} key */
+    async function hitKv(key) {
+        // Hashed: client addresses are never stored
+        const id = `ratelimit:${name}:${createHash('sha256').update(key).digest('hex').slice(0, 32)}`;
+        const response = await fetch(`${KV_URL}/pipeline`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${KV_TOKEN}`, 'Content-Type': 'application/json' },
+            // The window opens with the first hit and expires with its key
+            body: JSON.stringify([
+                ['SET', id, '0', 'PX', String(windowMs), 'NX'],
+                ['INCR', id],
+                ['PTTL', id],
+            ]),
+        });
+        if (!response.ok) throw new Error(`KV: ${response.status} ${response.statusText}`);
+        const [, { result: count }, { result: ttl }] = await response.json();
+        return count > limit
+            ? { allowed: false, retryAfter: Math.ceil(Math.max(ttl, 0) / 1000) }
+            : { allowed: true, retryAfter: 0 };
+    }
+
+    return {
+        /**
+         * Count a hit for `key`.
+         * @param {string} key
+         * @returns {Promise<{ allowed: boolean, retryAfter: number }>} retryAfter in seconds when refused
+         */
+        async hit(key) {
+            if (!KV_URL || !KV_TOKEN) return hitMemory(key);
+            try {
+                return await hitKv(key);
+            } catch (error) {
+                // A KV outage should not close the forms: count on this instance meanwhile
+                console.error('Rate limit store unavailable:', error);
+                return hitMemory(key);
+            }
+        },
+    };
+}
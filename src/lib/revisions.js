@@ -0,0 +1,42 @@
+// Revision history of review bodies, stored per spot in
+// src/content/revisions/<slug>.json. Every entry is the full body as it stood
+// after that revision, oldest first, so any two can be diffed and any one
+// restored. Written by the bot (bot/lib/revisions.js), never by the site.
+import { z } from 'zod';
+
+// original: the text found when the archive was started
+// edit:     a change made outside the bot (Keystatic, a text editor), found later
+// refine:   rewritten by the refiner (bot/scripts/refine-reviews.js)
+// restore:  an earlier revision put back
+// merge:    the review of a duplicate taken over (bot/scripts/merge-spots.js)
+export const REVISION_KINDS = /** @type {const} */ (['original', 'edit', 'refine', 'restore', 'merge']);
+
+export const revisionSchema = z.object({
+    kind: z.enum(REVISION_KINDS),
+    revisedAt: z.string().datetime(),
+    // Byline author of this text (src/content/authors)
+    author: z.string().optional(),
+    // "<provider>/<model>" and the sha256 of the request, for generated text
+    model: z.string().optional(),
+    promptHash: z.string().regex(/^[0-9a-f]{64}$/).optional(),
+    // Revision number (1-based) a restore put back
+    restoredFrom: z.number().int().positive().optional(),
+    // Spot the text was written for, when it came from a merged duplicate
+    origin: z.string().regex(/^[a-z0-9]+(-[a-z0-9]+)*$/).optional(),
+    body: z.string(),
+});
+
+export const revisionsFileSchema = z.object({
+    revisions: z.array(revisionSchema),
+});
+
+/**
+ * Public changelog: every revision after the first, newest first. Null when
+ * the text has never been revised.
+ * @param {z.infer<typeof revisionSchema>[]} revisions
+ */
+export function revisionLog(revisions) {
+    const changes = revisions.slice(1).map((revision, index) => ({ number: index + 2, ...revision })).reverse();
+    if (changes.length === 0) return null;
+    return { lastRevisedAt: changes[0].revisedAt, changes };
+}
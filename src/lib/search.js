@@ -0,0 +1,80 @@
+// Full-text search for /spots/. Documents are built once at build time
+// (src/pages/search-index.json.ts) and matched entirely in the browser.
+import { normalizeText, stripMarkdown } from './text.js';
+
+// Weight of a match per field: a title hit outranks one buried in the review
+export const SEARCH_FIELDS = /** @type {const} */ ({
+    title: 8,
+    neighborhood: 5,
+    address: 3,
+    alt: 2,
+    body: 1,
+});
+
+/** @typedef {{ id: string } & Record<keyof typeof SEARCH_FIELDS, string>} SearchDocument */
+
+// Each field is stored as its unique normalized words, which keeps the
+// index small and makes prefix matching a plain substring check
+function uniqueWords(text) {
+    return [...new Set(normalizeText(text).split(' ').filter(Boolean))].join(' ');
+}
+
+/**
+ * @param {{ id: string, title: string, neighborhood: string, address?: string, alt: string[], body: string }} spot
+ * @returns {SearchDocument}
+ */
+export function buildSearchDocument({ id, title, neighborhood, address = '', alt, body }) {
+    return {
+        id,
+        title: uniqueWords(title),
+        neighborhood: uniqueWords(neighborhood),
+        // Google Maps share links are not searchable addresses
+        address: uniqueWords(address.startsWith('http') ? '' : address),
+        alt: uniqueWords(alt.join(' ')),
+        body: uniqueWords(stripMarkdown(body)),
+    };
+}
+
+/**
+ * Rank documents against a query. Every term must prefix-match a word in
+ * some field ("oat milk", "lope vega"). Returns null for an empty query.
+ * @param {SearchDocument[]} documents
+ * @param {string} query
+ * @returns {Map<string, number> | null} spot id -> score
+ */
+export function searchDocuments(documents, query) {
+    const terms = normalizeText(query).split(' ').filter(Boolean);
+    if (terms.length === 0) return null;
+
+    const fields = /** @type {(keyof typeof SEARCH_FIELDS)[]} */ (Object.keys(SEARCH_FIELDS));
+    const matches = new Map();
+
+    for (const doc of documents) {
+        let score = 0;
+        for (const term of terms) {
+            const weight = Math.max(0, ...fields.map((field) => (` ${doc[field]}`.includes(` ${term}`) ? SEARCH_FIELDS[field] : 0)));
+            if (weight === 0) {
+                score = 0;
+                break;
+            }
+            score += weight;
+        }
+        if (score > 0) matches.set(doc.id, score);
+    }
+    return matches;
+}
+
+/** @type {Promise<SearchDocument[]> | null} */
+let indexRequest = null;
+
+/**
+ * Fetch the prebuilt index once per page (same origin, so allowed by the CSP).
+ * @returns {Promise<SearchDocument[]>}
+ */
+export function loadSearchIndex(url = '/search-index.json') {
+    indexRequest ??= fetch(url).then((response) => {
+        if (!response.ok) throw new Error(`Search index unavailable (${response.status})`);
+        return response.json();
+    });
+    return indexRequest;
+}
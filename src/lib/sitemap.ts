@@ -0,0 +1,135 @@
+// Sitemaps built from the content collections (src/pages/sitemap-*.xml.ts),
+// not from the rendered HTML. Which pages are in them is decided here:
+// - the fixed pages in SITEMAP_PAGES, in every locale they exist in
+// - listed spots only (src/lib/listing.js), in English and each locale they
+//   have a translation in, with their cover and gallery photos and the spot's
+//   dates as lastmod
+// - every author page, dated by their latest spot
+// Left out on purpose: /design-system/ and /submit/success/ (also disallowed in
+// robots.txt), /privacy/ and /terms/ (legal boilerplate), API routes and the
+// data/feed/search endpoints.
+import { getCollection, type CollectionEntry } from 'astro:content';
+import { imageUrl } from './export';
+import { isListed } from './listing.js';
+import { getOptionalCollection } from './optional-collections';
+import { DEFAULT_LOCALE, alternates, localizePath, type Locale } from './i18n.js';
+import { spotLocales } from './translations.js';
+import { escapeXml } from './text.js';
+
+export const SITEMAPS = ['/sitemap-pages.xml', '/sitemap-spots.xml'];
+
+// Fixed pages, unprefixed; localized versions are added from src/lib/i18n.js
+export const SITEMAP_PAGES = ['/', '/spots/', '/about/', '/faq/', '/submit/'];
+
+// The photo's alt text goes in image:title. Google no longer reads the image
+// title and caption tags, but other consumers of the sitemap still do, and
+// the alt text is the only description the photos have.
+interface SitemapImage {
+    loc: string;
+    title: string | null;
+}
+
+interface SitemapEntry {
+    loc: string;
+    lastmod: Date | null;
+    alternates: { hreflang: string; href: string }[];
+    images: SitemapImage[];
+}
+
+type Spot = CollectionEntry<'spots'>;
+
+const latest = (dates: (Date | null | undefined)[]) =>
+    dates.reduce<Date | null>((max, date) => (date && (!max || date > max) ? date : max), null);
+
+const spotDate = (spot: Spot) => spot.data.updated_at ?? spot.data.published_at ?? null;
+
+/**
+ * One entry per locale version of `path` (just one for English-only pages),
+ * each listing all versions as hreflang alternates.
+ */
+function localizedEntries(path: string, site: URL, entry: Omit<SitemapEntry, 'loc' | 'alternates'>, lastmodFor?: (locale: string) => Date | null, locales?: readonly Locale[]) {
+    const versions = alternates(path, locales);
+    if (versions.length === 0) {
+        return [{ loc: new URL(path, site).href, alternates: [], ...entry }];
+    }
+    const links = [
+        ...versions.map((version) => ({ hreflang: version.locale, href: new URL(version.path, site).href })),
+        { hreflang: 'x-default', href: new URL(localizePath(path, DEFAULT_LOCALE), site).href },
+    ];
+    return versions.map((version) => ({
+        loc: new URL(version.path, site).href,
+        alternates: links,
+        ...entry,
+        lastmod: lastmodFor?.(version.locale) ?? entry.lastmod,
+    }));
+}
+
+export async function pageEntries(site: URL): Promise<SitemapEntry[]> {
+    const spots = (await getCollection('spots')).filter(isListed);
+    const newest = latest(spots.map(spotDate));
+
+    const pages = SITEMAP_PAGES.flatMap((path) => localizedEntries(path, site, {
+        // The home page and the index change whenever a spot does
+        lastmod: path === '/' || path === '/spots/' ? newest : null,
+        images: [],
+    }));
+
+    const authors = await Promise.all((await getCollection('authors')).map(async (author) => localizedEntries(`/authors/${author.id}/`, site, {
+        lastmod: latest(spots.filter((spot) => spot.data.author === author.id).map(spotDate)),
+        images: [{ loc: await imageUrl(author.data.avatar, site, 512), title: author.data.name }],
+    })));
+
+    return [...pages, ...authors.flat()];
+}
+
+export async function spotEntries(site: URL): Promise<SitemapEntry[]> {
+    const spots = (await getCollection('spots')).filter(isListed).sort((a, b) => a.id.localeCompare(b.id));
+    const translations = await getOptionalCollection('translations');
+
+    const entries = await Promise.all(spots.map(async (spot) => {
+        const photos = [spot.data.coverImage, ...(spot.data.gallery || [])].filter((photo) => !!photo);
+        const images = await Promise.all(photos.map(async (photo) => ({
+            loc: await imageUrl(photo.image, site, 1600),
+            title: photo.alt || null,
+        })));
+
+        // A localized page also changes when its translation does
+        const translatedAt = (locale: string) => translations.find((entry) => entry.id === `${locale}/${spot.id}`)?.data.translated_at;
+        return localizedEntries(`/spots/${spot.id}/`, site, { lastmod: spotDate(spot), images }, (locale) =>
+            locale === DEFAULT_LOCALE ? spotDate(spot) : latest([spotDate(spot), translatedAt(locale)]), spotLocales(spot.id, translations));
+    }));
+
+    return entries.flat();
+}
+
+const isoDay = (date: Date) => date.toISOString().slice(0, 10);
+
+export function toUrlset(entries: SitemapEntry[]) {
+    const urls = entries.map((entry) => [
+        '<url>',
+        `<loc>${escapeXml(entry.loc)}</loc>`,
+        entry.lastmod ? `<lastmod>${isoDay(entry.lastmod)}</lastmod>` : '',
+        ...entry.alternates.map((link) => `<xhtml:link rel="alternate" hreflang="${link.hreflang}" href="${escapeXml(link.href)}"/>`),
+        ...entry.images.map((image) => `<image:image><image:loc>${escapeXml(image.loc)}</image:loc>${image.title ? `<image:title>${escapeXml(image.title)}</image:title>` : ''}</image:image>`),
+        '</url>',
+    ].join('')).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+${urls}
+</urlset>
+`;
+}
+
+export function toSitemapIndex(site: URL) {
+    const sitemaps = SITEMAPS.map((path) => `<sitemap><loc>${escapeXml(new URL(path, site).href)}</loc></sitemap>`).join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps}
+</sitemapindex>
+`;
+}
+
+export function xmlResponse(body: string) {
+    return new Response(body, { headers: { 'Content-Type': 'application/xml; charset=utf-8' } });
+}
@@ -0,0 +1,67 @@
+// Plain-JS spot field schemas shared by the content collection (config.ts)
+// and the seeding bot, so both validate against the exact same rules.
+import { z } from 'zod';
+import { SEATING_LEVELS, TABLE_TYPES, MAX_ADJUSTMENT } from './casi-score.js';
+import { DAYS } from './opening-hours.js';
+
+export const WIFI_SPEEDS = /** @type {const} */ (['flynet', 'reliable', 'spotty', 'detox']);
+export const NOISE_LEVELS = /** @type {const} */ (['silence', 'hum', 'chaos']);
+
+export const coordinatesSchema = z.object({
+    lat: z.number(),
+    long: z.number(),
+});
+
+export const metricsSchema = z.object({
+    wifi_speed: z.enum(WIFI_SPEEDS),
+    noise_level: z.enum(NOISE_LEVELS),
+    plug_access: z.boolean(),
+    coffee_price: z.number(),
+    seating: z.enum(SEATING_LEVELS).optional(),
+    tables: z.enum(TABLE_TYPES).optional(),
+    // Legacy hand-entered score; the published score is computed (src/lib/casi-score.js)
+    casi_score: z.number().min(1).max(10).optional(),
+    // Editorial nudge on top of the formula; Keystatic saves empty fields as null/''
+    score_adjustment: z.object({
+        points: z.number().min(-MAX_ADJUSTMENT).max(MAX_ADJUSTMENT).nullish(),
+        reason: z.string().trim().nullish(),
+    }).refine(
+        (adjustment) => !adjustment.points || (adjustment.reason ?? '').length >= 20,
+        { message: 'an adjustment needs a written justification (20+ characters)', path: ['reason'] },
+    ).optional(),
+    coordinates: coordinatesSchema,
+});
+
+const timeSchema = z.string().regex(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/, 'use 24h HH:MM');
+// Keystatic saves an empty text field as ''
+const optionalTimeSchema = z.preprocess((value) => (value === '' || value === null ? undefined : value), timeSchema.optional());
+const daysSchema = z.array(z.enum(DAYS)).min(1);
+
+// A close time at or before the open time runs past midnight ("19:00"-"02:00")
+export const hoursSchema = z.array(z.object({
+    days: daysSchema,
+    open: timeSchema,
+    close: timeSchema,
+}));
+
+// Windows when laptops are NOT allowed; no from/to means the whole day
+export const laptopPolicySchema = z.array(z.object({
+    days: daysSchema,
+    from: optionalTimeSchema,
+    to: optionalTimeSchema,
+    note: z.string().nullish(),
+}));
+
+// Day a spot went live / was last substantially revised (YYYY-MM-DD), drives the
+// feeds. Keystatic saves an empty date as null, which z.coerce would turn into 1970.
+export const publishDateSchema = z.preprocess((value) => (value === '' || value === null ? undefined : value), z.coerce.date().optional());
+
+// Shared by every branch of a multi-location business ("eatmytrip"), which
+// links the branches to each other; Keystatic saves an empty text field as ''
+export const chainSchema = z.preprocess(
+    (value) => (value === '' || value === null ? undefined : value),
+    z.string().regex(/^[a-z0-9]+(-[a-z0-9]+)*$/, 'use a lowercase slug such as "toma-cafe"').optional(),
+);
+
+// Minutes of wifi per purchase; null or absent means no limit
+export const wifiTimeLimitSchema = z.number().int().positive().nullish();
@@ -0,0 +1,261 @@
+// schema.org JSON-LD for every page that carries it. Pages build nodes with
+// the helpers below and hand `jsonLd(...nodes)` to Layout.astro, which runs
+// assertValidStructuredData on it, so a node that would be rejected by search
+// engines fails the build instead of shipping.
+import { z } from 'zod';
+
+const CONTEXT = 'https://schema.org';
+
+// Same bands as the spot's rentScore (src/content/config.ts): under €2 is
+// cheap, over €3.50 is expensive
+export const PRICE_RANGES = /** @type {const} */ (['€', '€€', '€€€']);
+
+/** @param {number} coffeePrice Price of a café con leche (metrics.coffee_price), in euros */
+export function priceRange(coffeePrice) {
+    if (coffeePrice < 2) return PRICE_RANGES[0];
+    if (coffeePrice > 3.5) return PRICE_RANGES[2];
+    return PRICE_RANGES[1];
+}
+
+// Stable node ids, so a review on its spot page and in its author's list are
+// recognisably the same review
+const personId = (url) => `${url}#person`;
+const reviewId = (url) => `${url}#review`;
+
+/**
+ * @typedef {{ name: string, url: string }} Link
+ */
+
+/**
+ * The spot as a CafeOrCoffeeShop carrying the CasiLocal review.
+ * @param {{
+ *   url: string,
+ *   name: string,
+ *   image?: string,
+ *   address?: string,
+ *   mapUrl?: string,
+ *   neighborhood: string,
+ *   coordinates: { lat: number, long: number },
+ *   coffeePrice: number,
+ *   openingHours?: object[],
+ *   amenities: { name: string, value: string | boolean }[],
+ *   review: { score: number, body: string, language: string, author: Link | null },
+ * }} spot
+ */
+export function cafeNode({ url, name, image, address, mapUrl, neighborhood, coordinates, coffeePrice, openingHours, amenities, review }) {
+    return {
+        '@type': 'CafeOrCoffeeShop',
+        '@id': `${url}#cafe`,
+        name,
+        url,
+        image,
+        address: address || {
+            '@type': 'PostalAddress',
+            addressLocality: 'Madrid',
+            addressRegion: neighborhood,
+            addressCountry: 'ES',
+        },
+        hasMap: mapUrl,
+        geo: {
+            '@type': 'GeoCoordinates',
+            latitude: coordinates.lat,
+            longitude: coordinates.long,
+        },
+        priceRange: priceRange(coffeePrice),
+        openingHoursSpecification: openingHours?.length ? openingHours : undefined,
+        amenityFeature: amenities.map((amenity) => ({
+            '@type': 'LocationFeatureSpecification',
+            ...amenity,
+        })),
+        review: {
+            '@type': 'Review',
+            '@id': reviewId(url),
+            url,
+            inLanguage: review.language,
+            reviewRating: {
+                '@type': 'Rating',
+                ratingValue: review.score,
+                bestRating: 10,
+                worstRating: 1,
+            },
+            author: review.author
+                ? { '@type': 'Person', '@id': personId(review.author.url), name: review.author.name, url: review.author.url }
+                : { '@type': 'Organization', name: 'CasiLocal' },
+            reviewBody: review.body,
+        },
+    };
+}
+
+/**
+ * @param {Link[]} trail From the home page down to the current page
+ */
+export function breadcrumbNode(trail) {
+    return {
+        '@type': 'BreadcrumbList',
+        itemListElement: trail.map((crumb, index) => ({
+            '@type': 'ListItem',
+            position: index + 1,
+            name: crumb.name,
+            item: crumb.url,
+        })),
+    };
+}
+
+/**
+ * A list of spots, e.g. the /spots/ index.
+ * @param {{ name: string, url: string, items: Link[] }} list
+ */
+export function spotListNode({ name, url, items }) {
+    return {
+        '@type': 'ItemList',
+        name,
+        url,
+        numberOfItems: items.length,
+        itemListElement: items.map((item, index) => ({
+            '@type': 'ListItem',
+            position: index + 1,
+            name: item.name,
+            url: item.url,
+        })),
+    };
+}
+
+/**
+ * An author's profile page: the Person and the reviews they wrote, each
+ * pointing back at the same Person and at the spot page carrying the review.
+ * @param {{ name: string, role: string, image?: string, url: string, reviews: (Link & { score: number })[] }} author
+ */
+export function authorNodes({ name, role, image, url, reviews }) {
+    const person = {
+        '@type': 'Person',
+        '@id': personId(url),
+        name,
+        jobTitle: role,
+        image,
+        url,
+        worksFor: { '@type': 'Organization', name: 'CasiLocal' },
+    };
+    const profile = [
+        { '@type': 'ProfilePage', url, mainEntity: { '@id': person['@id'] } },
+        person,
+    ];
+    if (reviews.length === 0) return profile;
+    return [
+        ...profile,
+        {
+            '@type': 'ItemList',
+            name: `Reviews by ${name}`,
+            numberOfItems: reviews.length,
+            itemListElement: reviews.map((review, index) => ({
+                '@type': 'ListItem',
+                position: index + 1,
+                item: {
+                    '@type': 'Review',
+                    '@id': reviewId(review.url),
+                    url: review.url,
+                    name: review.name,
+                    author: { '@id': person['@id'] },
+                    reviewRating: { '@type': 'Rating', ratingValue: review.score, bestRating: 10, worstRating: 1 },
+                    itemReviewed: { '@type': 'CafeOrCoffeeShop', '@id': `${review.url}#cafe`, name: review.name, url: review.url },
+                },
+            })),
+        },
+    ];
+}
+
+/**
+ * Wrap nodes in one JSON-LD document; undefined fields disappear in JSON.stringify.
+ * @param {...object} nodes
+ */
+export function jsonLd(...nodes) {
+    return { '@context': CONTEXT, '@graph': nodes };
+}
+
+// --- Validation -------------------------------------------------------------
+
+const absoluteUrl = z.string().url().refine((url) => /^https?:\/\//.test(url), 'must be an absolute URL');
+const ref = z.object({ '@id': z.string().min(1) }).strict();
+
+const ratingSchema = z.object({
+    '@type': z.literal('Rating'),
+    ratingValue: z.number(),
+    bestRating: z.number(),
+    worstRating: z.number(),
+}).refine((rating) => rating.ratingValue >= rating.worstRating && rating.ratingValue <= rating.bestRating, 'ratingValue outside worstRating..bestRating');
+
+const authorSchema = z.union([
+    ref,
+    z.object({ '@type': z.enum(['Person', 'Organization']), name: z.string().min(1), url: absoluteUrl.optional() }).passthrough(),
+]);
+
+const reviewSchema = z.object({
+    '@type': z.literal('Review'),
+    url: absoluteUrl,
+    reviewRating: ratingSchema,
+    author: authorSchema,
+    reviewBody: z.string().min(1).optional(),
+}).passthrough();
+
+// Consecutive positions from 1, as Google requires
+const listItems = (item) => z.array(item).min(1).refine(
+    (items) => items.every((entry, index) => entry.position === index + 1),
+    'positions must run 1, 2, 3…',
+);
+
+const NODE_SCHEMAS = {
+    CafeOrCoffeeShop: z.object({
+        name: z.string().min(1),
+        url: absoluteUrl,
+        image: absoluteUrl.optional(),
+        hasMap: absoluteUrl.optional(),
+        geo: z.object({ latitude: z.number().min(-90).max(90), longitude: z.number().min(-180).max(180) }).passthrough(),
+        priceRange: z.enum(PRICE_RANGES),
+        review: reviewSchema.extend({ reviewBody: z.string().min(1) }),
+    }).passthrough(),
+    BreadcrumbList: z.object({
+        itemListElement: listItems(z.object({ position: z.number(), name: z.string().min(1), item: absoluteUrl }).passthrough()),
+    }).passthrough(),
+    ItemList: z.object({
+        itemListElement: listItems(z.object({
+            position: z.number(),
+            url: absoluteUrl.optional(),
+            item: reviewSchema.optional(),
+        }).passthrough().refine((entry) => !!entry.url || !!entry.item, 'a list item needs a url or an item')),
+    }).passthrough(),
+    Person: z.object({ name: z.string().min(1), url: absoluteUrl, image: absoluteUrl.optional() }).passthrough(),
+    ProfilePage: z.object({ url: absoluteUrl, mainEntity: ref }).passthrough(),
+};
+
+const documentSchema = z.object({
+    '@context': z.literal(CONTEXT),
+    '@graph': z.array(z.object({ '@type': z.enum(/** @type {[keyof typeof NODE_SCHEMAS, ...(keyof typeof NODE_SCHEMAS)[]]} */ (Object.keys(NODE_SCHEMAS))) }).passthrough()).min(1),
+});
+
+/**
+ * Problems with a jsonLd() document, as "path: message" strings; empty when valid.
+ * Checks it as it will be serialized, so undefined fields are ignored.
+ * @param {object} document
+ */
+export function validateStructuredData(document) {
+    const json = JSON.parse(JSON.stringify(document));
+    const parsed = documentSchema.safeParse(json);
+    if (!parsed.success) {
+        return parsed.error.issues.map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+    }
+    return parsed.data['@graph'].flatMap((node, index) => {
+        const result = NODE_SCHEMAS[node['@type']].safeParse(node);
+        return result.success ? [] : result.error.issues.map((issue) => `@graph.${index} (${node['@type']}).${issue.path.join('.')}: ${issue.message}`);
+    });
+}
+
+/**
+ * Throw on invalid structured data, failing the build for the page.
+ * @param {object} document
+ * @param {string} page Pathname, for the error message
+ */
+export function assertValidStructuredData(document, page) {
+    const errors = validateStructuredData(document);
+    if (errors.length > 0) {
+        throw new Error(`Invalid JSON-LD on ${page}:\n  ${errors.join('\n  ')}`);
+    }
+}
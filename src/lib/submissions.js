@@ -0,0 +1,132 @@
+// Reader submissions from /submit: payload schema, dedupe key and the mapping
+// onto a draft spot bundle. Drafts land in src/content/pending (see pending.js)
+// until a curator completes them in Keystatic and the bot promotes them.
+import { z } from 'zod';
+import { WIFI_SPEEDS, NOISE_LEVELS } from './spot-schema.js';
+
+export const POWER_LEVELS = /** @type {const} */ (['abundant', 'scarce', 'none']);
+export const COFFEE_QUALITY = /** @type {const} */ (['exceptional', 'standard', 'avoid']);
+export const REVIEW_MAX_LENGTH = 500;
+
+function isMapsLink(value) {
+    try {
+        const { hostname, pathname } = new URL(value);
+        if (hostname === 'maps.google.com' || hostname === 'maps.app.goo.gl') return true;
+        return ['google.com', 'www.google.com', 'goo.gl'].includes(hostname) && pathname.startsWith('/maps');
+    } catch {
+        return false;
+    }
+}
+
+// Field names match the form inputs in submit.astro / SubmitSpot.astro
+export const submissionSchema = z.object({
+    'maps-link': z.string().trim().url().refine(isMapsLink, 'Must be a Google Maps link'),
+    wifi: z.enum(WIFI_SPEEDS),
+    acoustics: z.enum(NOISE_LEVELS),
+    power: z.enum(POWER_LEVELS),
+    coffee: z.enum(COFFEE_QUALITY),
+    review: z.string().trim().max(REVIEW_MAX_LENGTH).default(''),
+});
+
+// Place links carry a feature id "0x<cell>:0x<cid>" (in `ftid` or in the
+// `data=...!1s0x...:0x...` path segment); its second half is the cid in hex
+const FEATURE_ID = /0x[0-9a-f]+:(0x[0-9a-f]+)/i;
+
+/**
+ * Stable identity for a Google Maps link: the place `cid` when present
+ * (Places API URIs and many share links carry it, as `cid`, `ludocid` or a
+ * feature id), otherwise host + path. Tracking params such as the Places
+ * API's `g_mp` never take part.
+ * @param {string} url
+ */
+export function mapsKey(url) {
+    try {
+        const parsed = new URL(url.trim());
+        const cid = parsed.searchParams.get('cid') || parsed.searchParams.get('ludocid');
+        if (cid && /^\d+$/.test(cid)) return `cid:${cid}`;
+        const featureId = (parsed.searchParams.get('ftid') || decodeURIComponent(parsed.pathname)).match(FEATURE_ID);
+        if (featureId) return `cid:${BigInt(featureId[1]).toString()}`;
+        return `url:${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}`.toLowerCase();
+    } catch {
+        return `raw:${url.trim().toLowerCase()}`;
+    }
+}
+
+/**
+ * A Google Maps link without tracking params, for a spot's `maps_url`: the
+ * Places API's URIs carry a long `g_mp` blob that changes between searches.
+ * @param {string} url
+ */
+export function cleanMapsUrl(url) {
+    try {
+        const parsed = new URL(url.trim());
+        parsed.searchParams.delete('g_mp');
+        return parsed.toString();
+    } catch {
+        return url.trim();
+    }
+}
+
+/**
+ * Only "abundant" earns plug_access (and the Plugs filter); "scarce" is kept
+ * in the raw answers for the curator.
+ * @param {typeof POWER_LEVELS[number]} power
+ */
+export function powerToPlugAccess(power) {
+    return power === 'abundant';
+}
+
+// ".../maps/place/Caf%C3%A9+Federal/@40.4,..." -> "Café Federal"
+function titleFromMapsLink(url) {
+    const match = new URL(url).pathname.match(/\/maps\/place\/([^/@]+)/);
+    if (!match) return null;
+    try {
+        return decodeURIComponent(match[1].replace(/\+/g, ' ')).trim() || null;
+    } catch {
+        return null;
+    }
+}
+
+// Reader text goes into an MDX body: braces and angle brackets would be
+// parsed as expressions/JSX, so escape them, and backslashes too, or "\{"
+// would come out as an escaped backslash followed by a live expression
+function escapeMdx(text) {
+    return text.replace(/[\\{}<>]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Map a validated submission onto draft bundle frontmatter + body.
+ * Only what the reader actually told us becomes a metric; price, score,
+ * neighborhood and coordinates are left for the curator.
+ * @param {z.infer<typeof submissionSchema>} submission
+ * @param {Date} receivedAt
+ */
+export function submissionToDraft(submission, receivedAt = new Date()) {
+    const link = submission['maps-link'];
+    const key = mapsKey(link);
+    const stamp = receivedAt.toISOString().slice(0, 10);
+    // Generated, never user-controlled: safe as a directory name
+    const slug = `submission-${stamp}-${key.replace(/[^a-z0-9]+/g, '').slice(-10)}`;
+
+    return {
+        slug,
+        frontmatter: {
+            title: titleFromMapsLink(link) || 'Untitled submission',
+            maps_url: link,
+            metrics: {
+                wifi_speed: submission.wifi,
+                noise_level: submission.acoustics,
+                plug_access: powerToPlugAccess(submission.power),
+            },
+            submission: {
+                power: submission.power,
+                coffee: submission.coffee,
+                mapsKey: key,
+                receivedAt: receivedAt.toISOString(),
+            },
+        },
+        body: submission.review
+            ? `## Reader Briefing\n\n> ${escapeMdx(submission.review).replace(/\r?\n+/g, '\n>\n> ')}`
+            : '## Reader Briefing\n\n_No briefing provided._',
+    };
+}
@@ -0,0 +1,56 @@
+// Text helpers. normalizeText is shared by neighborhood matching and search:
+// lowercase, accent-free, punctuation collapsed to single spaces ("Lavapiés" -> "lavapies").
+// stripMarkdown/reviewExcerpt turn a review body into plain text for search,
+// feeds and structured data.
+/**
+ * @param {string} text
+ */
+export function normalizeText(text) {
+    return text
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Remove diacritics
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Drop MDX syntax that should not be searchable (imports, tags, link targets, URLs).
+ * Remaining punctuation is left to the caller.
+ * @param {string} markdown
+ */
+export function stripMarkdown(markdown) {
+    return markdown
+        .replace(/^\s*(import|export)\s.*$/gm, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/https?:\/\/\S+/g, ' ');
+}
+
+/**
+ * First paragraphs of a review as plain text, cut at a word boundary.
+ * @param {string} markdown
+ * @param {number} [length]
+ */
+export function reviewExcerpt(markdown, length = 280) {
+    const text = stripMarkdown(markdown)
+        .replace(/^#{1,6}\s.*$/gm, ' ')
+        .replace(/[*_`>]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (text.length <= length) return text;
+    return `${text.slice(0, text.lastIndexOf(' ', length)).replace(/[\s,;:.]+$/, '')}…`;
+}
+
+/**
+ * Escape text for XML content and attribute values (feeds, sitemaps).
+ * @param {string} text
+ */
+export function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
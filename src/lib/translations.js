@@ -0,0 +1,40 @@
+// Translated review bodies live next to the English one in each spot bundle:
+// spots/<slug>/index.es.mdx. Each records a hash of the English body it was
+// made from, so the site and the bot's `translate` command can tell when the
+// original has moved on. Server/bot only (node:crypto).
+import { createHash } from 'node:crypto';
+import { z } from 'zod';
+import { DEFAULT_LOCALE, LOCALES } from './i18n.js';
+
+export const TRANSLATION_STATUSES = /** @type {const} */ (['draft', 'reviewed']);
+
+export const translationSchema = z.object({
+    source_hash: z.string(),
+    // draft: machine translation nobody has checked yet
+    status: z.enum(TRANSLATION_STATUSES).default('draft'),
+    translated_at: z.coerce.date().optional(),
+    translated_by: z.string().optional(),
+});
+
+/** @param {string} locale */
+export function translationEntry(locale) {
+    return `index.${locale}.mdx`;
+}
+
+/**
+ * Locales a spot's review can be read in: English and every translation on file.
+ * @param {string} slug
+ * @param {{ id: string }[]} translations Entries of the `translations` collection (ids are <locale>/<slug>)
+ */
+export function spotLocales(slug, translations) {
+    return LOCALES.filter((locale) => locale === DEFAULT_LOCALE || translations.some((entry) => entry.id === `${locale}/${slug}`));
+}
+
+/**
+ * Fingerprint of an English review body; whitespace at the edges is ignored
+ * so re-serializing the frontmatter never marks a translation stale.
+ * @param {string} body
+ */
+export function sourceHash(body) {
+    return createHash('sha256').update(body.trim()).digest('hex').slice(0, 12);
+}
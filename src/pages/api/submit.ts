@@ -0,0 +1,143 @@
+import type { APIRoute } from 'astro';
+import { getCollection } from 'astro:content';
+import { submissionSchema, submissionToDraft, mapsKey } from '../../lib/submissions.js';
+import { pendingMapsKeys, processedMapsKeys, writePendingDraft } from '../../lib/pending.js';
+import { appendObservation, reporterId } from '../../lib/observation-store.js';
+import { createRateLimiter } from '../../lib/rate-limit.js';
+
+// Rendered on demand: the rest of the site stays static
+export const prerender = false;
+
+const MAX_BODY_BYTES = 8 * 1024;
+// The forms stamp `started` when they load; a person takes longer than this to fill them in
+const MIN_FILL_MS = 3 * 1000;
+const limiter = createRateLimiter({ name: 'submit', limit: 5, windowMs: 60 * 60 * 1000 });
+
+const json = (body: Record<string, unknown>, status: number) =>
+    new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' },
+    });
+
+// The report could not be stored (see lib/content-store.js): the form shows
+// this to the reader, nothing is lost silently
+const unavailable = (error: unknown) => {
+    console.error('Submission could not be stored:', error);
+    return json({ ok: false, message: 'Submissions are temporarily unavailable, please try again later' }, 503);
+};
+
+function clientKey(request: Request, clientAddress: () => string) {
+    try {
+        return clientAddress();
+    } catch {
+        return request.headers.get('x-forwarded-for')?.split(',')[0].trim() || 'unknown';
+    }
+}
+
+// SECURITY NOTE: Public, unauthenticated write endpoint.
+// - Body size is capped and every field is validated with Zod (enums, URL host, length).
+// - The draft slug/path is generated server-side; no user input reaches the filesystem path.
+// - Review text is escaped before it lands in MDX, and drafts live outside the
+//   published collection until a curator promotes them.
+// - Reports for published spots only append an observation to a file named
+//   after the matched collection id, one per client per spot per day (a salted,
+//   daily pseudonym is stored, never the address).
+// - `botcheck` is a honeypot, and a form sent within MIN_FILL_MS of loading is
+//   treated as a bot: both get a fake success and nothing is written.
+// - Each client gets 5 submissions an hour (shared across instances when KV is
+//   configured, see lib/rate-limit.js).
+export const POST: APIRoute = async (context) => {
+    const { request } = context;
+    // Read lazily: the getter throws on adapters that cannot tell the address
+    const client = clientKey(request, () => context.clientAddress);
+    const { allowed, retryAfter } = await limiter.hit(client);
+    if (!allowed) {
+        const response = json({ ok: false, message: 'Too many submissions, please try again later' }, 429);
+        response.headers.set('Retry-After', String(retryAfter));
+        return response;
+    }
+
+    const length = Number(request.headers.get('content-length') || 0);
+    if (length > MAX_BODY_BYTES) {
+        return json({ ok: false, message: 'Submission too large' }, 413);
+    }
+
+    let payload: Record<string, unknown>;
+    try {
+        const contentType = request.headers.get('content-type') || '';
+        const raw = await request.text();
+        if (raw.length > MAX_BODY_BYTES) {
+            return json({ ok: false, message: 'Submission too large' }, 413);
+        }
+        payload = contentType.includes('application/json')
+            ? JSON.parse(raw)
+            : Object.fromEntries(new URLSearchParams(raw));
+    } catch {
+        return json({ ok: false, message: 'Malformed submission' }, 400);
+    }
+
+    if (payload.botcheck) {
+        return json({ ok: true }, 200);
+    }
+    const started = Number(payload.started);
+    if (!Number.isFinite(started) || started <= 0) {
+        return json({ ok: false, message: 'Please send the form from the site' }, 400);
+    }
+    if (Date.now() - started < MIN_FILL_MS) {
+        return json({ ok: true }, 200);
+    }
+
+    const result = submissionSchema.safeParse(payload);
+    if (!result.success) {
+        return json({ ok: false, message: 'Please complete every field', errors: result.error.flatten().fieldErrors }, 400);
+    }
+
+    const key = mapsKey(result.data['maps-link']);
+    const spots = await getCollection('spots');
+
+    // A report for a published spot is a visit, not a new spot: keep the ratings
+    const existing = spots.find(spot => !!spot.data.maps_url && mapsKey(spot.data.maps_url) === key);
+    if (existing) {
+        let reports: number | null;
+        try {
+            reports = await appendObservation(existing.id, {
+                wifi: result.data.wifi,
+                noise: result.data.acoustics,
+                power: result.data.power,
+                coffee: result.data.coffee,
+                observedAt: new Date().toISOString(),
+                reporter: reporterId(client, existing.id),
+            });
+        } catch (error) {
+            return unavailable(error);
+        }
+        if (reports === null) {
+            return json({ ok: false, message: `You already reported on ${existing.data.title} today` }, 409);
+        }
+        return json({ ok: true, observed: existing.id, message: `Thanks! Your visit to ${existing.data.title} was added to its crowd check` }, 200);
+    }
+
+    // Dedupe against the bot's processed places and other drafts
+    let pending: Set<string>;
+    try {
+        pending = await pendingMapsKeys();
+    } catch (error) {
+        return unavailable(error);
+    }
+    const known = new Set([...processedMapsKeys(), ...pending]);
+    if (known.has(key)) {
+        return json({ ok: false, message: 'We already have this spot (listed or awaiting review)' }, 409);
+    }
+
+    try {
+        const slug = await writePendingDraft(submissionToDraft(result.data));
+        return json({ ok: true, slug }, 201);
+    } catch (error) {
+        const code = (error as NodeJS.ErrnoException).code;
+        if (code === 'EEXIST') {
+            return json({ ok: false, message: 'We already have this spot (listed or awaiting review)' }, 409);
+        }
+        // Read-only filesystems (the Vercel deployment without the GitHub store) land here
+        return unavailable(error);
+    }
+};
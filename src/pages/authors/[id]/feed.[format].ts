@@ -0,0 +1,23 @@
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { getCollection } from 'astro:content';
+import { authorFeed, buildFeed, feedFormatPaths, feedResponse, type FeedFormat } from '../../../lib/feeds';
+
+// Same ids as /authors/[id]/
+export const getStaticPaths = (async () => {
+    const authors = await getCollection('authors');
+    return authors.flatMap((author) => feedFormatPaths({ id: author.id }, { name: author.data.name }));
+}) satisfies GetStaticPaths;
+
+// SECURITY NOTE: Prerendered at build time from published content only.
+// No request input is read beyond the static route params.
+export const GET: APIRoute = async ({ params, props, site, url }) => {
+    const { title, path } = authorFeed(params.id!, props.name);
+    const feed = await buildFeed(site ?? url, {
+        title,
+        description: `New spots reviewed by ${props.name} for CasiLocal.`,
+        homePage: `/authors/${params.id}/`,
+        self: path,
+        filter: (spot) => spot.data.author === params.id,
+    });
+    return feedResponse(feed, params.format as FeedFormat);
+};
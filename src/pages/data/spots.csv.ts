@@ -0,0 +1,14 @@
+import type { APIRoute } from 'astro';
+import { exportRecords, toCSV } from '../../lib/export';
+
+// SECURITY NOTE: Prerendered at build time from published content only.
+// No request input is read; served as a static file (CORS open, see vercel.json).
+// CSV has no room for metadata: schema_version is a column, the listing rule
+// and license are in /data/spots.json.
+export const GET: APIRoute = async ({ site, url }) => {
+    const { records } = await exportRecords(site ?? url);
+
+    return new Response(toCSV(records), {
+        headers: { 'Content-Type': 'text/csv; charset=utf-8' },
+    });
+};
@@ -0,0 +1,12 @@
+import type { APIRoute } from 'astro';
+import { exportRecords } from '../../lib/export';
+
+// SECURITY NOTE: Prerendered at build time from published content only.
+// No request input is read; served as a static file (CORS open, see vercel.json).
+export const GET: APIRoute = async ({ site, url }) => {
+    const { meta, records } = await exportRecords(site ?? url);
+
+    return new Response(JSON.stringify({ ...meta, spots: records }, null, 2), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' },
+    });
+};
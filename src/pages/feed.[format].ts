@@ -0,0 +1,16 @@
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { buildFeed, feedFormatPaths, feedResponse, SITE_FEED, type FeedFormat } from '../lib/feeds';
+
+export const getStaticPaths = (() => feedFormatPaths({}, {})) satisfies GetStaticPaths;
+
+// SECURITY NOTE: Prerendered at build time from published content only.
+// No request input is read beyond the static route params.
+export const GET: APIRoute = async ({ params, site, url }) => {
+    const feed = await buildFeed(site ?? url, {
+        title: SITE_FEED.title,
+        description: 'New laptop-friendly cafes in Madrid, with the CasiLocal metrics for each.',
+        homePage: '/spots/',
+        self: SITE_FEED.path,
+    });
+    return feedResponse(feed, params.format as FeedFormat);
+};
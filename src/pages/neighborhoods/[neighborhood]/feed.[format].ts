@@ -0,0 +1,24 @@
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { getCollection } from 'astro:content';
+import { buildFeed, feedFormatPaths, feedResponse, type FeedFormat } from '../../../lib/feeds';
+import { isListed } from '../../../lib/listing.js';
+
+// One feed per neighborhood that has a listed spot (the /spots/ filter's options)
+export const getStaticPaths = (async () => {
+    const spots = (await getCollection('spots')).filter(isListed);
+    const neighborhoods = new Map(spots.map((spot) => [spot.data.neighborhood, spot.data.neighborhoodName]));
+    return [...neighborhoods].flatMap(([neighborhood, name]) => feedFormatPaths({ neighborhood }, { name }));
+}) satisfies GetStaticPaths;
+
+// SECURITY NOTE: Prerendered at build time from published content only.
+// No request input is read beyond the static route params.
+export const GET: APIRoute = async ({ params, props, site, url }) => {
+    const feed = await buildFeed(site ?? url, {
+        title: `CasiLocal: new spots in ${props.name}`,
+        description: `New laptop-friendly cafes in ${props.name}, Madrid.`,
+        homePage: `/spots/?neighborhood=${params.neighborhood}`,
+        self: `/neighborhoods/${params.neighborhood}/feed`,
+        filter: (spot) => spot.data.neighborhood === params.neighborhood,
+    });
+    return feedResponse(feed, params.format as FeedFormat);
+};
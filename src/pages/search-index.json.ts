@@ -0,0 +1,24 @@
+import type { APIRoute } from 'astro';
+import { getCollection } from 'astro:content';
+import { buildSearchDocument } from '../lib/search.js';
+import { isListed } from '../lib/listing.js';
+
+// SECURITY NOTE: Prerendered at build time from published content only.
+// No request input is read; the browser fetches it as a static file.
+export const GET: APIRoute = async () => {
+    // Same set of spots as the /spots/ grid
+    const spots = (await getCollection('spots')).filter(isListed);
+
+    const documents = spots.map(({ id, data, body }) => buildSearchDocument({
+        id,
+        title: data.title,
+        neighborhood: data.neighborhoodName,
+        address: data.address,
+        alt: [data.coverImage?.alt, ...(data.gallery || []).map(item => item.alt)].filter((alt): alt is string => !!alt),
+        body: body || '',
+    }));
+
+    return new Response(JSON.stringify(documents), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' },
+    });
+};
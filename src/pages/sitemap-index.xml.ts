@@ -0,0 +1,5 @@
+import type { APIRoute } from 'astro';
+import { toSitemapIndex, xmlResponse } from '../lib/sitemap';
+
+// SECURITY NOTE: Prerendered at build time; no request input is read.
+export const GET: APIRoute = ({ site, url }) => xmlResponse(toSitemapIndex(site ?? url));
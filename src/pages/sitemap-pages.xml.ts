@@ -0,0 +1,6 @@
+import type { APIRoute } from 'astro';
+import { pageEntries, toUrlset, xmlResponse } from '../lib/sitemap';
+
+// SECURITY NOTE: Prerendered at build time from published content only.
+// No request input is read.
+export const GET: APIRoute = async ({ site, url }) => xmlResponse(toUrlset(await pageEntries(site ?? url)));